@@ -48,6 +48,7 @@ from collections import defaultdict
 
 from horary_engine.engine import HoraryEngine, serialize_planet_with_solar
 from horary_engine.services.geolocation import LocationError
+from horary_config import cfg, apply_overrides, HoraryError
 
 
 
@@ -717,6 +718,16 @@ def calculate_chart():
 
         manual_houses = data.get('manualHouses')
 
+        # NEW: Explicit coordinates ({latitude, longitude}) bypass geocoding;
+
+        # location is then just the display name
+
+        coordinates = data.get('coordinates')
+
+        # NEW: UTC offset (minutes) chosen for an ambiguous or skipped local time
+
+        utc_offset = data.get('utcOffset')
+
         
 
         # NEW: Extract enhanced parameters
@@ -731,6 +742,10 @@ def calculate_chart():
 
         exaltation_confidence_boost = data.get('exaltationConfidenceBoost', 15.0)
 
+        # NEW: Calculation settings from the Settings page, as dot-path config overrides
+
+        config_overrides = data.get('settings') or {}
+
         
 
         logger.info(f"ENHANCED chart calculation request:")
@@ -747,6 +762,16 @@ def calculate_chart():
 
         logger.info(f"  Use current time: {use_current_time}")
 
+        if coordinates:
+
+            # Exact coordinates can locate the querent; log only that they were given
+
+            logger.info("  Coordinates: given explicitly")
+
+        if utc_offset is not None:
+
+            logger.info(f"  UTC offset: {utc_offset} minutes")
+
         
 
         # NEW: Log enhanced parameters
@@ -761,6 +786,12 @@ def calculate_chart():
 
         
 
+        if config_overrides:
+
+            logger.info(f"  Settings overrides: {config_overrides}")
+
+        
+
         # Validate required fields
 
         if not question:
@@ -815,6 +846,80 @@ def calculate_chart():
 
         
 
+        # Validate explicit coordinates
+
+        if coordinates is not None:
+
+            try:
+
+                latitude = float(coordinates['latitude'])
+
+                longitude = float(coordinates['longitude'])
+
+                if not (-90 <= latitude <= 90 and -180 <= longitude <= 180):
+
+                    raise ValueError('out of range')
+
+            except (TypeError, KeyError, ValueError):
+
+                return jsonify({
+
+                    'error': 'Coordinates must have a latitude between -90 and 90 and a longitude between -180 and 180',
+
+                    'judgment': 'ERROR',
+
+                    'confidence': 0,
+
+                    'reasoning': ['Invalid coordinates']
+
+                }), 400
+
+            coordinates = {'latitude': latitude, 'longitude': longitude}
+
+        
+
+        # Validate the chosen UTC offset (whole minutes, at most 14 hours)
+
+        if utc_offset is not None:
+
+            if isinstance(utc_offset, bool) or not isinstance(utc_offset, int) or abs(utc_offset) > 14 * 60:
+
+                return jsonify({
+
+                    'error': 'utcOffset must be a whole number of minutes between -840 and 840',
+
+                    'judgment': 'ERROR',
+
+                    'confidence': 0,
+
+                    'reasoning': ['Invalid UTC offset']
+
+                }), 400
+
+        
+
+        # Validate settings before doing any work
+
+        try:
+
+            apply_overrides(cfg(), config_overrides)
+
+        except HoraryError as e:
+
+            return jsonify({
+
+                'error': f'Invalid settings: {e}',
+
+                'judgment': 'ERROR',
+
+                'confidence': 0,
+
+                'reasoning': [f'Invalid settings: {e}']
+
+            }), 400
+
+        
+
         # Convert manual houses if provided
 
         houses_list = None
@@ -877,6 +982,10 @@ def calculate_chart():
 
                 "manual_houses": houses_list,
 
+                "coordinates": coordinates,
+
+                "utc_offset": utc_offset,
+
                 # NEW: Enhanced features
 
                 "ignore_radicality": ignore_radicality,
@@ -887,7 +996,9 @@ def calculate_chart():
 
                 "ignore_saturn_7th": ignore_saturn_7th,
 
-                "exaltation_confidence_boost": exaltation_confidence_boost
+                "exaltation_confidence_boost": exaltation_confidence_boost,
+
+                "config_overrides": config_overrides
 
             }
 
@@ -983,7 +1094,11 @@ def calculate_chart():
 
                 'exaltation_confidence_boost': exaltation_confidence_boost
 
-            }
+            },
+
+            'house_system': config_overrides.get('houses.system', cfg().houses.system),
+
+            'settings': config_overrides
 
         }
 
@@ -1571,6 +1686,17 @@ def is_development_mode():
     """Detect if running in development mode"""
     return not is_packaged_executable() and os.environ.get('FLASK_ENV') != 'production'
 
+def get_server_port(default=5000):
+    """Port to listen on - the desktop app passes a free one in HORARY_API_PORT"""
+    value = os.environ.get('HORARY_API_PORT')
+    if not value:
+        return default
+    try:
+        return int(value)
+    except ValueError:
+        logger.warning(f"Ignoring invalid HORARY_API_PORT={value!r}, using {default}")
+        return default
+
 if __name__ == '__main__':
     
     logger.info("Starting Enhanced Traditional Horary Astrology API Server v2.0.0")
@@ -1583,6 +1709,8 @@ if __name__ == '__main__':
     # Determine runtime environment
     packaged = is_packaged_executable()
     dev_mode = is_development_mode()
+    port = get_server_port()
+    logger.info(f"Listening on port {port}")
     
     if packaged:
         logger.info("Running as packaged executable - PRODUCTION MODE")
@@ -1602,7 +1730,7 @@ if __name__ == '__main__':
             app.run(
                 debug=False,
                 host='127.0.0.1',
-                port=5000,
+                port=port,
                 threaded=True,
                 use_reloader=False
             )
@@ -1613,7 +1741,7 @@ if __name__ == '__main__':
         app.run(
             debug=True,
             host='0.0.0.0',
-            port=5000,
+            port=port,
             use_reloader=True
         )
     else:
@@ -1623,7 +1751,7 @@ if __name__ == '__main__':
         app.run(
             debug=False,
             host='127.0.0.1',
-            port=5000,
+            port=port,
             threaded=True,
             use_reloader=False
         )
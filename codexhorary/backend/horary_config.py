@@ -6,14 +6,29 @@ Created for horary_engine.py refactor
 """
 
 import os
+import copy
+import math
 import yaml
 import logging
+import contextvars
+from contextlib import contextmanager
 from pathlib import Path
 from types import SimpleNamespace
 from typing import Any, Dict, Optional
 
 logger = logging.getLogger(__name__)
 
+# Per-request configuration set by config_overrides(). A ContextVar, so a
+# request being served on another thread keeps seeing the file configuration.
+_override_config: contextvars.ContextVar = contextvars.ContextVar('horary_config_override', default=None)
+
+# Overridable string settings restricted to a fixed set of values
+ALLOWED_VALUES = {
+    'moon.void_rule': ('by_sign', 'by_orb', 'lilly'),
+    'houses.system': ('Regiomontanus', 'Placidus', 'Whole Sign', 'Equal'),
+    'radicality.hour_agreement_mode': ('ruler', 'sign', 'triplicity'),
+}
+
 
 class HoraryError(Exception):
     """Custom exception for horary engine configuration errors"""
@@ -78,7 +93,10 @@ class HoraryConfig:
     
     @property
     def config(self) -> SimpleNamespace:
-        """Get the configuration namespace"""
+        """Get the configuration namespace (with any active overrides)"""
+        override = _override_config.get()
+        if override is not None:
+            return override
         if self._config is None:
             self._load_config()
         return self._config
@@ -168,6 +186,69 @@ def cfg() -> SimpleNamespace:
     return get_config().config
 
 
+def apply_overrides(base: SimpleNamespace, overrides: Dict[str, Any]) -> SimpleNamespace:
+    """
+    Return a copy of the configuration with dot-path overrides applied
+    
+    Args:
+        base: Configuration namespace to copy
+        overrides: Mapping like {'orbs.conjunction': 9.0, 'moon.void_rule': 'lilly'}
+        
+    Returns:
+        New configuration namespace; base is left unchanged
+        
+    Raises:
+        HoraryError: For unknown keys or values of the wrong type
+    """
+    if not isinstance(overrides, dict):
+        raise HoraryError("Configuration overrides must be an object of key paths to values")
+    
+    config = copy.deepcopy(base)
+    for key_path, value in overrides.items():
+        *parents, leaf = str(key_path).split('.')
+        target = config
+        try:
+            for key in parents:
+                target = getattr(target, key)
+            current = getattr(target, leaf)
+        except AttributeError:
+            raise HoraryError(f"Unknown configuration key: {key_path}")
+        
+        # Only single values can be replaced, with a value of the same type
+        if isinstance(current, bool):
+            valid = isinstance(value, bool)
+        elif isinstance(current, int):
+            # Whole-number settings (weights, counts) stay whole numbers
+            valid = isinstance(value, int) and not isinstance(value, bool)
+        elif isinstance(current, float):
+            valid = (isinstance(value, (int, float)) and not isinstance(value, bool)
+                     and math.isfinite(value))
+        elif isinstance(current, str):
+            valid = isinstance(value, str) and value in ALLOWED_VALUES.get(key_path, (value,))
+        else:
+            raise HoraryError(f"Configuration key cannot be overridden: {key_path}")
+        
+        if not valid:
+            raise HoraryError(f"Invalid value for {key_path}: {value!r}")
+        setattr(target, leaf, value)
+    
+    return config
+
+
+@contextmanager
+def config_overrides(overrides: Optional[Dict[str, Any]]):
+    """Use overridden configuration values (see apply_overrides) inside the block"""
+    if not overrides:
+        yield cfg()
+        return
+    
+    token = _override_config.set(apply_overrides(cfg(), overrides))
+    try:
+        yield cfg()
+    finally:
+        _override_config.reset(token)
+
+
 # Validate configuration on import (unless in test environment)
 if os.environ.get('HORARY_CONFIG_SKIP_VALIDATION') != 'true':
     try:
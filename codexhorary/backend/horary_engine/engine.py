@@ -15,7 +15,7 @@ import logging
 from typing import Dict, List, Optional, Any, Tuple
 
 # Configuration system
-from horary_config import get_config, cfg, HoraryError
+from horary_config import get_config, cfg, config_overrides, HoraryError
 
 # Timezone handling
 import swisseph as swe
@@ -43,6 +43,14 @@ from .services.geolocation import (
 # Setup module logger
 logger = logging.getLogger(__name__)
 
+# Swiss Ephemeris codes for the configurable house systems (houses.system)
+HOUSE_SYSTEM_CODES = {
+    "Regiomontanus": b'R',
+    "Placidus": b'P',
+    "Whole Sign": b'W',
+    "Equal": b'E',
+}
+
 
 from models import (
     Planet,
@@ -68,6 +76,7 @@ from .serialization import (
     serialize_chart_for_frontend,
     serialize_lunar_aspect,
     serialize_planet_with_solar,
+    utc_offset_minutes,
 )
 
 
@@ -186,9 +195,10 @@ class EnhancedTraditionalAstrologicalCalculator:
                     speed=0.0
                 )
         
-        # Calculate houses (Regiomontanus - traditional for horary)
+        # Calculate houses (Regiomontanus by default - traditional for horary)
+        house_system = getattr(getattr(cfg(), "houses", None), "system", "Regiomontanus")
         try:
-            houses_data, ascmc = swe.houses(jd_ut, lat, lon, b'R')  # Regiomontanus
+            houses_data, ascmc = swe.houses(jd_ut, lat, lon, HOUSE_SYSTEM_CODES.get(house_system, b'R'))
             houses = list(houses_data)
             ascendant = ascmc[0]
             midheaven = ascmc[1]
@@ -772,6 +782,8 @@ class EnhancedTraditionalHoraryJudgmentEngine:
                       date_str: Optional[str] = None, time_str: Optional[str] = None,
                       timezone_str: Optional[str] = None, use_current_time: bool = True,
                       manual_houses: Optional[List[int]] = None,
+                      coordinates: Optional[Dict[str, float]] = None,
+                      utc_offset: Optional[int] = None,
                       # Legacy override flags (now configurable)
                       ignore_radicality: bool = False,
                       ignore_void_moon: bool = False,
@@ -787,11 +799,17 @@ class EnhancedTraditionalHoraryJudgmentEngine:
             if exaltation_confidence_boost is None:
                 exaltation_confidence_boost = config.confidence.reception.mutual_exaltation_bonus
             
-            # Fail-fast geocoding
-            try:
-                lat, lon, full_location = safe_geocode(location)
-            except LocationError as e:
-                raise e
+            # Explicit coordinates skip geocoding; the location is only a label
+            if coordinates:
+                lat = float(coordinates["latitude"])
+                lon = float(coordinates["longitude"])
+                full_location = location or f"{lat:.4f}, {lon:.4f}"
+            else:
+                # Fail-fast geocoding
+                try:
+                    lat, lon, full_location = safe_geocode(location)
+                except LocationError as e:
+                    raise e
             
             # Handle datetime with proper timezone support
             if use_current_time:
@@ -800,7 +818,7 @@ class EnhancedTraditionalHoraryJudgmentEngine:
                 if not date_str or not time_str:
                     raise ValueError("Date and time must be provided when not using current time")
                 dt_local, dt_utc, timezone_used = self.timezone_manager.parse_datetime_with_timezone(
-                    date_str, time_str, timezone_str, lat, lon)
+                    date_str, time_str, timezone_str, lat, lon, utc_offset)
             
             chart = self.calculator.calculate_chart(dt_local, dt_utc, timezone_used, lat, lon, full_location)
             
@@ -848,6 +866,7 @@ class EnhancedTraditionalHoraryJudgmentEngine:
                     "local_time": dt_local.isoformat(),
                     "utc_time": dt_utc.isoformat(),
                     "timezone": timezone_used,
+                    "utc_offset_minutes": utc_offset_minutes(dt_local),
                     "location_name": full_location,
                     "coordinates": {
                         "latitude": lat,
@@ -3836,6 +3855,8 @@ class HoraryEngine:
         timezone_str = settings.get("timezone")
         use_current_time = settings.get("use_current_time", True)
         manual_houses = settings.get("manual_houses")
+        coordinates = settings.get("coordinates")
+        utc_offset = settings.get("utc_offset")
         
         # Extract override flags
         ignore_radicality = settings.get("ignore_radicality", False)
@@ -3843,27 +3864,32 @@ class HoraryEngine:
         ignore_combustion = settings.get("ignore_combustion", False)
         ignore_saturn_7th = settings.get("ignore_saturn_7th", False)
         
-        # Extract reception weighting (now configurable)
-        exaltation_confidence_boost = settings.get("exaltation_confidence_boost")
-        if exaltation_confidence_boost is None:
-            # Use configured default
-            exaltation_confidence_boost = cfg().confidence.reception.mutual_exaltation_bonus
-        
-        # Call the enhanced engine
-        result = self.engine.judge_question(
-            question=question,
-            location=location,
-            date_str=date_str,
-            time_str=time_str,
-            timezone_str=timezone_str,
-            use_current_time=use_current_time,
-            manual_houses=manual_houses,
-            ignore_radicality=ignore_radicality,
-            ignore_void_moon=ignore_void_moon,
-            ignore_combustion=ignore_combustion,
-            ignore_saturn_7th=ignore_saturn_7th,
-            exaltation_confidence_boost=exaltation_confidence_boost
-        )
+        # Per-chart configuration overrides ({'orbs.conjunction': 9.0, ...});
+        # raises HoraryError if any of them is invalid
+        with config_overrides(settings.get("config_overrides")):
+            # Extract reception weighting (now configurable)
+            exaltation_confidence_boost = settings.get("exaltation_confidence_boost")
+            if exaltation_confidence_boost is None:
+                # Use configured default
+                exaltation_confidence_boost = cfg().confidence.reception.mutual_exaltation_bonus
+            
+            # Call the enhanced engine
+            result = self.engine.judge_question(
+                question=question,
+                location=location,
+                date_str=date_str,
+                time_str=time_str,
+                timezone_str=timezone_str,
+                use_current_time=use_current_time,
+                manual_houses=manual_houses,
+                coordinates=coordinates,
+                utc_offset=utc_offset,
+                ignore_radicality=ignore_radicality,
+                ignore_void_moon=ignore_void_moon,
+                ignore_combustion=ignore_combustion,
+                ignore_saturn_7th=ignore_saturn_7th,
+                exaltation_confidence_boost=exaltation_confidence_boost
+            )
         
         # ENHANCED: Apply explanation consistency audit
         if hasattr(result, 'get') and result.get('chart_data'):
@@ -1,5 +1,6 @@
 """Serialization helpers for the horary engine."""
 
+import datetime
 from typing import Any, Dict, Optional
 
 from models import (
@@ -12,6 +13,12 @@ from models import (
 )
 
 
+def utc_offset_minutes(dt: datetime.datetime) -> int:
+    """UTC offset of an aware datetime in minutes (0 for a naive one)"""
+    offset = dt.utcoffset()
+    return int(offset.total_seconds() // 60) if offset is not None else 0
+
+
 def serialize_lunar_aspect(lunar_aspect: Optional[LunarAspect]) -> Optional[Dict]:
     """Serialize a LunarAspect into a dictionary"""
     if not lunar_aspect:
@@ -128,6 +135,7 @@ def serialize_chart_for_frontend(
             "local_time": chart.date_time.isoformat(),
             "utc_time": chart.date_time_utc.isoformat(),
             "timezone": chart.timezone_info,
+            "utc_offset_minutes": utc_offset_minutes(chart.date_time),
             "location_name": chart.location_name,
             "coordinates": {
                 "latitude": chart.location[0],
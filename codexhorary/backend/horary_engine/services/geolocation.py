@@ -217,8 +217,14 @@ class TimezoneManager:
         timezone_str: Optional[str] = None,
         lat: float = None,
         lon: float = None,
+        utc_offset_minutes: Optional[int] = None,
     ) -> Tuple[datetime.datetime, datetime.datetime, str]:
-        """Parse datetime string and return both local and UTC datetime objects."""
+        """Parse datetime string and return both local and UTC datetime objects.
+
+        ``utc_offset_minutes`` pins the instant when the wall-clock time is
+        ambiguous (clocks going back) or skipped (clocks going forward); the
+        local time is then that instant as shown in the zone.
+        """
         datetime_str = f"{date_str} {time_str}"
 
         date_formats = [
@@ -278,6 +284,15 @@ class TimezoneManager:
             tz = pytz.UTC
             timezone_used = "UTC"
 
+        if utc_offset_minutes is not None:
+            dt_utc = (dt_naive - datetime.timedelta(minutes=utc_offset_minutes)).replace(tzinfo=pytz.UTC)
+            dt_local = dt_utc.astimezone(tz)
+            if dt_local.replace(tzinfo=None) != dt_naive:
+                logger.warning(
+                    f"{dt_naive} does not exist in {timezone_used} - using {dt_local}"
+                )
+            return dt_local, dt_utc, timezone_used
+
         if ZoneInfo or hasattr(tz, "localize"):
             if hasattr(tz, "localize"):
                 try:
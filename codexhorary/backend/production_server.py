@@ -13,7 +13,7 @@ from werkzeug.serving import make_server
 from werkzeug.middleware.proxy_fix import ProxyFix
 
 # Import our Flask app
-from app import app, logger
+from app import app, logger, get_server_port
 
 class ProductionRequestHandler(WSGIRequestHandler):
     """Custom request handler that suppresses development server warnings"""
@@ -31,8 +31,10 @@ class ProductionRequestHandler(WSGIRequestHandler):
         if "development server" not in message.lower():
             super().log_error(format, *args)
 
-def create_production_server(host='127.0.0.1', port=5000):
+def create_production_server(host='127.0.0.1', port=None):
     """Create a production-ready WSGI server"""
+    if port is None:
+        port = get_server_port()
     
     # Configure Flask for production
     app.config['ENV'] = 'production'
@@ -73,7 +75,7 @@ def run_production_server():
     
     try:
         server = create_production_server()
-        logger.info(f"Production server starting on http://127.0.0.1:5000")
+        logger.info(f"Production server starting on http://127.0.0.1:{server.server_port}")
         logger.info("Server ready to accept connections")
         
         # Start the server
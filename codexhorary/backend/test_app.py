@@ -0,0 +1,85 @@
+import pytest
+
+import app as app_module
+
+
+@pytest.fixture
+def judged(monkeypatch):
+    """Settings the engine was called with; the engine itself is not run"""
+    calls = []
+
+    def judge(question, settings):
+        calls.append(settings)
+        return {'question': question, 'judgment': 'YES', 'confidence': 80, 'reasoning': []}
+
+    monkeypatch.setattr(app_module.horary_engine, 'judge', judge)
+    return calls
+
+
+@pytest.fixture
+def client():
+    return app_module.app.test_client()
+
+
+def cast(client, **fields):
+    body = {'question': 'Will I get the job?', 'location': 'London, UK', 'useCurrentTime': True}
+    body.update(fields)
+    return client.post('/api/calculate-chart', json=body)
+
+
+def test_valid_settings_reach_the_engine(client, judged):
+    settings = {'orbs.conjunction': 9.5, 'dignity.rulership': 6, 'moon.void_rule': 'lilly'}
+    response = cast(client, settings=settings)
+
+    assert response.status_code == 200
+    assert judged[0]['config_overrides'] == settings
+    assert response.get_json()['calculation_metadata']['settings'] == settings
+
+
+@pytest.mark.parametrize('settings', [
+    {'dignity.unknown': 1},
+    {'dignity': {'rulership': 6}},
+    {'dignity.rulership': 5.5},
+    {'retrograde.automatic_denial': 'yes'},
+    {'moon.void_rule': 'sometimes'},
+    {'radicality.hour_agreement_mode': 'bogus'},
+    ['dignity.rulership', 6],
+])
+def test_invalid_settings_are_a_bad_request(client, judged, settings):
+    response = cast(client, settings=settings)
+
+    assert response.status_code == 400
+    body = response.get_json()
+    assert body['judgment'] == 'ERROR'
+    assert body['error'].startswith('Invalid settings:')
+    assert judged == []
+
+
+def test_explicit_coordinates_reach_the_engine_as_numbers(client, judged):
+    response = cast(client, location='At sea', coordinates={'latitude': '35.25', 'longitude': -40.5})
+
+    assert response.status_code == 200
+    assert judged[0]['location'] == 'At sea'
+    assert judged[0]['coordinates'] == {'latitude': 35.25, 'longitude': -40.5}
+
+
+@pytest.mark.parametrize('coordinates', [
+    {'latitude': 91, 'longitude': 0},
+    {'latitude': -90.5, 'longitude': 0},
+    {'latitude': 0, 'longitude': 180.01},
+    {'latitude': 0, 'longitude': -181},
+    {'latitude': 'north', 'longitude': 0},
+    {'latitude': 51.5, 'longitude': None},
+    {'latitude': float('nan'), 'longitude': 0},
+    {'latitude': 51.5},
+    [51.5, -0.1],
+    '51.5, -0.1',
+])
+def test_invalid_coordinates_are_a_bad_request(client, judged, coordinates):
+    response = cast(client, coordinates=coordinates)
+
+    assert response.status_code == 400
+    body = response.get_json()
+    assert body['judgment'] == 'ERROR'
+    assert body['reasoning'] == ['Invalid coordinates']
+    assert judged == []
@@ -0,0 +1,44 @@
+import pytest
+
+import horary_engine.engine as engine_module
+from horary_engine.engine import HoraryEngine
+
+
+@pytest.fixture
+def no_geocoding(monkeypatch):
+    """Fails the test if the engine tries to geocode the location"""
+    def safe_geocode(location):
+        raise AssertionError(f'geocoded {location!r}')
+
+    monkeypatch.setattr(engine_module, 'safe_geocode', safe_geocode)
+
+
+def test_explicit_coordinates_skip_geocoding(no_geocoding):
+    result = HoraryEngine().judge('Will the ship reach port?', {
+        'location': 'Mid-Atlantic',
+        'coordinates': {'latitude': 35.25, 'longitude': -40.5},
+        'use_current_time': False,
+        'date': '15/06/2024',
+        'time': '12:00',
+        'timezone': 'Etc/GMT+3',
+    })
+
+    assert 'error' not in result
+    info = result['timezone_info']
+    assert info['coordinates'] == {'latitude': 35.25, 'longitude': -40.5}
+    assert info['location_name'] == 'Mid-Atlantic'
+    assert info['timezone'] == 'Etc/GMT+3'
+    assert info['utc_time'].startswith('2024-06-15T15:00:00')
+
+
+def test_explicit_coordinates_label_themselves_without_a_location(no_geocoding):
+    result = HoraryEngine().judge('Will the ship reach port?', {
+        'location': '',
+        'coordinates': {'latitude': -12.5, 'longitude': 130.84},
+        'use_current_time': False,
+        'date': '15/06/2024',
+        'time': '12:00',
+        'timezone': 'Australia/Darwin',
+    })
+
+    assert result['timezone_info']['location_name'] == '-12.5000, 130.8400'
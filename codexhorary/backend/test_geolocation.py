@@ -0,0 +1,50 @@
+import pytest
+
+from horary_engine.services.geolocation import TimezoneManager
+
+
+@pytest.fixture(scope='module')
+def timezone_manager():
+    return TimezoneManager()
+
+
+# (zone, date, time, utcOffset the frontend sends, local time, UTC time)
+AMBIGUOUS = [
+    # Clocks go back: the same wall-clock time happens twice
+    ('Europe/London', '27/10/2024', '01:30', 60, '2024-10-27T01:30:00+01:00', '2024-10-27T00:30:00+00:00'),
+    ('Europe/London', '27/10/2024', '01:30', 0, '2024-10-27T01:30:00+00:00', '2024-10-27T01:30:00+00:00'),
+    ('America/New_York', '03/11/2024', '01:30', -240, '2024-11-03T01:30:00-04:00', '2024-11-03T05:30:00+00:00'),
+    ('America/New_York', '03/11/2024', '01:30', -300, '2024-11-03T01:30:00-05:00', '2024-11-03T06:30:00+00:00'),
+    ('Australia/Sydney', '07/04/2024', '02:30', 660, '2024-04-07T02:30:00+11:00', '2024-04-06T15:30:00+00:00'),
+    ('Australia/Sydney', '07/04/2024', '02:30', 600, '2024-04-07T02:30:00+10:00', '2024-04-06T16:30:00+00:00'),
+]
+
+SKIPPED = [
+    # Clocks go forward: read with the offset from before or after the change
+    ('Europe/London', '31/03/2024', '01:30', 0, '2024-03-31T02:30:00+01:00', '2024-03-31T01:30:00+00:00'),
+    ('Europe/London', '31/03/2024', '01:30', 60, '2024-03-31T00:30:00+00:00', '2024-03-31T00:30:00+00:00'),
+    ('America/New_York', '10/03/2024', '02:30', -300, '2024-03-10T03:30:00-04:00', '2024-03-10T07:30:00+00:00'),
+    ('America/New_York', '10/03/2024', '02:30', -240, '2024-03-10T01:30:00-05:00', '2024-03-10T06:30:00+00:00'),
+    ('Australia/Sydney', '06/10/2024', '02:30', 600, '2024-10-06T03:30:00+11:00', '2024-10-05T16:30:00+00:00'),
+    ('Australia/Sydney', '06/10/2024', '02:30', 660, '2024-10-06T01:30:00+10:00', '2024-10-05T15:30:00+00:00'),
+]
+
+
+@pytest.mark.parametrize('zone, date, time, offset, local, utc', AMBIGUOUS + SKIPPED)
+def test_utc_offset_pins_the_instant(timezone_manager, zone, date, time, offset, local, utc):
+    dt_local, dt_utc, timezone_used = timezone_manager.parse_datetime_with_timezone(
+        date, time, zone, utc_offset_minutes=offset)
+
+    assert timezone_used == zone
+    assert dt_local.isoformat() == local
+    assert dt_utc.isoformat() == utc
+    assert dt_local == dt_utc
+
+
+def test_utc_offset_of_an_ordinary_time_agrees_with_the_zone(timezone_manager):
+    pinned = timezone_manager.parse_datetime_with_timezone(
+        '01/07/2024', '12:00', 'Europe/London', utc_offset_minutes=60)
+    unpinned = timezone_manager.parse_datetime_with_timezone('01/07/2024', '12:00', 'Europe/London')
+
+    assert pinned[0].isoformat() == unpinned[0].isoformat() == '2024-07-01T12:00:00+01:00'
+    assert pinned[1] == unpinned[1]
@@ -0,0 +1,97 @@
+import threading
+
+import pytest
+
+from horary_config import HoraryError, apply_overrides, cfg, config_overrides
+
+
+def test_apply_overrides_replaces_values_on_a_copy():
+    base = cfg()
+    config = apply_overrides(base, {
+        'orbs.conjunction': 9.5,
+        'orbs.sextile': 5,
+        'dignity.rulership': 7,
+        'moon.void_rule': 'lilly',
+        'retrograde.automatic_denial': True,
+        'radicality.hour_agreement_mode': 'triplicity',
+    })
+
+    assert config.orbs.conjunction == 9.5
+    assert config.orbs.sextile == 5
+    assert config.dignity.rulership == 7
+    assert config.moon.void_rule == 'lilly'
+    assert config.retrograde.automatic_denial is True
+    assert config.radicality.hour_agreement_mode == 'triplicity'
+    # The loaded configuration is untouched
+    assert base.orbs.conjunction == 8.0
+    assert base.dignity.rulership == 5
+    assert base.moon.void_rule == 'by_sign'
+
+
+@pytest.mark.parametrize('overrides', [
+    {'dignity.unknown': 1},
+    {'nonsense.rulership': 1},
+    {'dignity': {'rulership': 7}},
+    {'orbs': 9.0},
+    {'confidence.lunar_confidence_caps': {}},
+])
+def test_apply_overrides_rejects_unknown_keys_and_whole_sections(overrides):
+    with pytest.raises(HoraryError):
+        apply_overrides(cfg(), overrides)
+
+
+@pytest.mark.parametrize('key_path, value', [
+    ('dignity.rulership', 5.5),
+    ('dignity.rulership', 5.0),
+    ('dignity.rulership', True),
+    ('dignity.rulership', '5'),
+    ('orbs.conjunction', False),
+    ('orbs.conjunction', float('nan')),
+    ('orbs.conjunction', float('inf')),
+    ('retrograde.automatic_denial', 1),
+    ('moon.void_rule', 'sometimes'),
+    ('houses.system', 'Koch'),
+    ('radicality.hour_agreement_mode', 'bogus'),
+    ('radicality.hour_agreement_mode', 'Ruler'),
+])
+def test_apply_overrides_rejects_values_of_the_wrong_type(key_path, value):
+    with pytest.raises(HoraryError):
+        apply_overrides(cfg(), {key_path: value})
+
+
+def test_apply_overrides_needs_an_object():
+    with pytest.raises(HoraryError):
+        apply_overrides(cfg(), [('dignity.rulership', 7)])
+
+
+def test_config_overrides_apply_only_inside_the_block():
+    with config_overrides({'dignity.rulership': 7}) as config:
+        assert config.dignity.rulership == 7
+        assert cfg().dignity.rulership == 7
+    # The next request sees the file configuration again
+    assert cfg().dignity.rulership == 5
+
+
+def test_config_overrides_are_undone_when_the_block_fails():
+    with pytest.raises(RuntimeError):
+        with config_overrides({'moon.void_rule': 'by_orb'}):
+            raise RuntimeError('calculation failed')
+    assert cfg().moon.void_rule == 'by_sign'
+
+
+def test_config_overrides_do_not_reach_other_threads():
+    seen = []
+    with config_overrides({'dignity.rulership': 7}):
+        # Another request being served at the same time
+        worker = threading.Thread(target=lambda: seen.append(cfg().dignity.rulership))
+        worker.start()
+        worker.join()
+        assert cfg().dignity.rulership == 7
+    assert seen == [5]
+
+
+def test_config_overrides_without_overrides_is_the_file_configuration():
+    with config_overrides({}) as config:
+        assert config is cfg()
+    with config_overrides(None) as config:
+        assert config.dignity.rulership == 5
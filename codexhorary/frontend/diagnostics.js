@@ -0,0 +1,117 @@
+// Diagnostics bundle for support requests (Help > Export Diagnostics...).
+// Everything that goes into the zip is passed through redact() first, so
+// questions, notes, locations and the user's home directory never leave the
+// machine.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createZip } = require('./zip');
+
+const REDACTED = '[REDACTED]';
+const LOG_STREAMS = ['main', 'backend', 'renderer'];
+const LOG_FILES_PER_STREAM = 2; // current file plus the most recent rotated one
+const API_TIMEOUT = 5000;
+
+// Keys whose values are personal, in JSON, Python repr or util.inspect output
+const SENSITIVE_KEY = /(["']?)\b(question|questions|notes?|location|location_name|locationName|address|city|latitude|longitude|lat|lng|lon|coordinates)\1(\s*[:=]\s*)("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\{[^}]*\}|\[[^\]]*\]|-?\d+(?:\.\d+)?)/gi;
+// Free-text log lines such as "  Question: Will I ..." or
+// "Getting timezone for location: Paris"
+const SENSITIVE_LABEL = /\b(question|location|notes?)(\s*[:=][ \t]*)(?![ \t"'{[]|\[REDACTED\])(.+)$/gim;
+const LOCATION_SUFFIX = /(\bsuccessful\b[^\n]*?\bfor )(?!\[REDACTED\])([^\n]+)$/gim;
+// Bare decimal coordinate pairs, as the backend's timezone detection and
+// chart logging write them: "for 51.5074, -0.1278", "(51.5074, -0.1278)"
+const COORDINATE_PAIR = /(?<![\d.-])-?\b\d{1,3}\.\d+\s*,\s*-?\d{1,3}\.\d+\b/g;
+// Places quoted in geocoding messages: "Geocoded 'Paris, France' to ...",
+// "Geocoding failed for 'Paris': ..."
+const GEOCODED_PLACE = /(\bgeocod\w*\b[^'"\n]*?)(['"])(?!\[REDACTED\])[^\n]*?\2/gi;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function redact(text) {
+  let result = String(text)
+    .replace(SENSITIVE_KEY, (match, quote, key, separator) => `${quote}${key}${quote}${separator}"${REDACTED}"`)
+    .replace(SENSITIVE_LABEL, (match, label, separator) => `${label}${separator}${REDACTED}`)
+    .replace(LOCATION_SUFFIX, (match, prefix) => `${prefix}${REDACTED}`)
+    .replace(GEOCODED_PLACE, (match, prefix, quote) => `${prefix}${quote}${REDACTED}${quote}`)
+    .replace(COORDINATE_PAIR, REDACTED);
+
+  // The home directory usually contains the user's name; also catch the
+  // JSON-escaped form of Windows paths
+  const home = os.homedir();
+  if (home && home.length > 1) {
+    [home, JSON.stringify(home).slice(1, -1)].forEach((form) => {
+      result = result.replace(new RegExp(escapeRegExp(form), 'g'), '~');
+    });
+  }
+  return result;
+}
+
+async function fetchEndpoint(baseUrl, endpoint) {
+  if (!baseUrl) {
+    return { error: 'Backend URL not resolved' };
+  }
+  try {
+    const response = await fetch(`${baseUrl}${endpoint}`, { signal: AbortSignal.timeout(API_TIMEOUT) });
+    const text = await response.text();
+    try {
+      return { status: response.status, body: JSON.parse(text) };
+    } catch (error) {
+      return { status: response.status, body: text };
+    }
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+function collectLogFiles(logsDir) {
+  if (!logsDir) return [];
+  const files = [];
+  LOG_STREAMS.forEach((stream) => {
+    for (let index = 0; index < LOG_FILES_PER_STREAM; index++) {
+      const name = index === 0 ? `${stream}.log` : `${stream}.${index}.log`;
+      const file = path.join(logsDir, name);
+      if (fs.existsSync(file)) {
+        files.push({ name: `logs/${name}`, content: redact(fs.readFileSync(file, 'utf8')) });
+      }
+    }
+  });
+  return files;
+}
+
+// info: { app, backend: { status, executable, pathCandidates, matchedPath }, apiBaseUrl, logsDir }
+// -> Buffer with the zip contents
+async function buildDiagnosticsBundle(info) {
+  const summary = {
+    generatedAt: new Date().toISOString(),
+    app: info.app,
+    os: {
+      platform: process.platform,
+      release: os.release(),
+      version: typeof os.version === 'function' ? os.version() : null,
+      arch: process.arch,
+      cpus: os.cpus().length,
+      totalMemoryMb: Math.round(os.totalmem() / (1024 * 1024)),
+      freeMemoryMb: Math.round(os.freemem() / (1024 * 1024))
+    },
+    backend: info.backend
+  };
+
+  const [health, version, metrics] = await Promise.all([
+    fetchEndpoint(info.apiBaseUrl, '/api/health'),
+    fetchEndpoint(info.apiBaseUrl, '/api/version'),
+    fetchEndpoint(info.apiBaseUrl, '/api/metrics')
+  ]);
+
+  const json = (value) => redact(JSON.stringify(value, null, 2));
+  return createZip([
+    { name: 'summary.json', content: json(summary) },
+    { name: 'api/health.json', content: json(health) },
+    { name: 'api/version.json', content: json(version) },
+    { name: 'api/metrics.json', content: json(metrics) },
+    ...collectLogFiles(info.logsDir)
+  ]);
+}
+
+module.exports = { buildDiagnosticsBundle, redact };
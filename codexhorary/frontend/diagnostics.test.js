@@ -0,0 +1,53 @@
+import os from 'os';
+import { describe, expect, it } from 'vitest';
+import { redact } from './diagnostics.js';
+
+// Lines as the backend writes them to backend.log
+const at = message => `2024-05-01 10:00:00,123 - horary_engine.services.geolocation - INFO - ${message}`;
+
+describe('redact', () => {
+  it('strips questions and locations from chart request logs', () => {
+    const log = [
+      at('  Question: Will I get the job?'),
+      at('  Location: London, UK'),
+      at("  Coordinates: {'latitude': 51.5074, 'longitude': -0.1278}"),
+      at('  Location: London, UK (51.5074, -0.1278)')
+    ].join('\n');
+    const result = redact(log);
+    expect(result).not.toMatch(/job|London|51\.5|0\.127/);
+    expect(result).toContain('2024-05-01 10:00:00,123');
+  });
+
+  it('strips bare coordinate pairs from timezone detection logs', () => {
+    [
+      at('=== TIMEZONE DETECTION STARTED for 51.5074, -0.1278 ==='),
+      at('TIMEZONE VALIDATION: Checking Europe/London for coordinates 51.5074, -0.1278'),
+      at('Using fallback timezone Europe/Paris for -33.8688, 151.2093 (TimezoneFinder returned: None)'),
+      at('COORDINATE MATCH: 31.7683,35.2137 falls in range 29.5-33.5, 34.0-36.0')
+    ].forEach((line) => {
+      expect(redact(line)).not.toMatch(/51\.5|0\.127|33\.86|151\.2|31\.76|35\.21/);
+    });
+  });
+
+  it('strips places quoted in geocoding messages', () => {
+    expect(redact(at("Geocoded 'Paris, France' to 48.85, 2.35"))).not.toMatch(/Paris|48\.85|2\.35/);
+    expect(redact(at("Geocoding failed for 'Reykjavik': timed out"))).not.toContain('Reykjavik');
+    expect(redact(at('Enhanced timezone detection successful: Europe/Oslo for Bergen'))).not.toContain('Bergen');
+  });
+
+  it('keeps what support needs', () => {
+    const line = at('ENHANCED chart calculation completed in 1.25 seconds');
+    expect(redact(line)).toBe(line);
+    expect(redact(at('Parsed date: 2024-05-01 10:00:00 using format: %Y-%m-%d %H:%M'))).toContain('2024-05-01 10:00:00');
+  });
+
+  it('redacts personal keys in JSON', () => {
+    const json = JSON.stringify({ question: 'Will she call?', latitude: 40.7, notes: ['x'], version: '1.1.0' });
+    const result = JSON.parse(redact(json));
+    expect(result).toEqual({ question: '[REDACTED]', latitude: '[REDACTED]', notes: '[REDACTED]', version: '1.1.0' });
+  });
+
+  it('replaces the home directory', () => {
+    expect(redact(`Loaded ${os.homedir()}/settings.json`)).toBe('Loaded ~/settings.json');
+  });
+});
@@ -0,0 +1,102 @@
+// Rotating log files for the desktop app. Each stream (main, backend,
+// renderer) writes to <logs>/<name>.log; when that passes MAX_LOG_SIZE it is
+// renamed to <name>.1.log, older files shift up and the oldest is dropped.
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const MAX_LOG_SIZE = 1024 * 1024; // 1 MB
+const MAX_LOG_FILES = 5; // current file plus rotated copies
+
+let logsDir = null;
+const loggers = {};
+
+function setLogsDirectory(dir) {
+  logsDir = dir;
+  fs.mkdirSync(dir, { recursive: true });
+}
+
+function getLogsDirectory() {
+  return logsDir;
+}
+
+function rotatedPath(name, index) {
+  return path.join(logsDir, index === 0 ? `${name}.log` : `${name}.${index}.log`);
+}
+
+function rotate(name) {
+  fs.rmSync(rotatedPath(name, MAX_LOG_FILES - 1), { force: true });
+  for (let index = MAX_LOG_FILES - 2; index >= 0; index--) {
+    const from = rotatedPath(name, index);
+    if (fs.existsSync(from)) {
+      fs.renameSync(from, rotatedPath(name, index + 1));
+    }
+  }
+}
+
+function formatLine(level, args) {
+  const message = args
+    .map(arg => (typeof arg === 'string' ? arg : util.inspect(arg, { depth: 4, breakLength: Infinity })))
+    .join(' ');
+  return `[${new Date().toISOString()}] [${level.toUpperCase()}] ${message}\n`;
+}
+
+// Get (or create) the logger for one stream
+function getLogger(name) {
+  if (loggers[name]) {
+    return loggers[name];
+  }
+
+  let size = null;
+
+  const write = (level, ...args) => {
+    // Logging must never take the app down, so failures are dropped
+    if (!logsDir) return;
+    try {
+      const file = rotatedPath(name, 0);
+      if (size === null) {
+        size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+      }
+      if (size >= MAX_LOG_SIZE) {
+        rotate(name);
+        size = 0;
+      }
+      const line = formatLine(level, args);
+      fs.appendFileSync(file, line);
+      size += Buffer.byteLength(line);
+    } catch (error) {
+      // Ignore
+    }
+  };
+
+  loggers[name] = {
+    file: () => (logsDir ? rotatedPath(name, 0) : null),
+    info: (...args) => write('info', ...args),
+    warn: (...args) => write('warn', ...args),
+    error: (...args) => write('error', ...args),
+    // Raw process output ('stdout' / 'stderr'), split into lines so each
+    // gets a timestamp
+    output: (stream, chunk) => {
+      String(chunk).split(/\r?\n/).filter(line => line.trim()).forEach(line => write(stream, line));
+    }
+  };
+  return loggers[name];
+}
+
+// Mirror console.* into a logger, keeping the normal console output
+function captureConsole(logger) {
+  [['log', 'info'], ['info', 'info'], ['warn', 'warn'], ['error', 'error']].forEach(([method, level]) => {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      original(...args);
+      logger[level](...args);
+    };
+  });
+}
+
+module.exports = {
+  setLogsDirectory,
+  getLogsDirectory,
+  getLogger,
+  captureConsole
+};
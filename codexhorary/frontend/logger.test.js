@@ -0,0 +1,69 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { getLogger, getLogsDirectory, setLogsDirectory } from './logger.js';
+
+const MB = 1024 * 1024;
+// Each line is a little over 400 KB, so the third one takes a file past 1 MB
+const LINE = 'x'.repeat(400 * 1024);
+
+let logsDir;
+const files = () => fs.readdirSync(logsDir).sort();
+const read = name => fs.readFileSync(path.join(logsDir, name), 'utf8');
+
+beforeEach(() => {
+  logsDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'logger-')), 'logs');
+  setLogsDirectory(logsDir);
+});
+
+afterEach(() => {
+  fs.rmSync(path.dirname(logsDir), { recursive: true, force: true });
+});
+
+describe('getLogger', () => {
+  it('writes timestamped, levelled lines to <name>.log in the logs directory', () => {
+    expect(getLogsDirectory()).toBe(logsDir);
+    const logger = getLogger('naming');
+    expect(getLogger('naming')).toBe(logger);
+    expect(logger.file()).toBe(path.join(logsDir, 'naming.log'));
+
+    logger.info('Started', { port: 5000 });
+    logger.output('stderr', 'first\r\n\nsecond\n');
+    expect(files()).toEqual(['naming.log']);
+    const lines = read('naming.log').trim().split('\n');
+    expect(lines[0]).toMatch(/^\[\d{4}-\d\d-\d\dT[\d:.]+Z\] \[INFO\] Started \{ port: 5000 \}$/);
+    expect(lines.slice(1).map(line => line.replace(/^\[[^\]]+\] /, ''))).toEqual(['[STDERR] first', '[STDERR] second']);
+  });
+});
+
+describe('rotation', () => {
+  it('rotates once the file passes 1 MB and keeps at most five files', () => {
+    const logger = getLogger('rotating');
+    // Three lines fill a file, the fourth starts the next one
+    for (let index = 0; index < 3; index++) logger.info(`${index} ${LINE}`);
+    expect(files()).toEqual(['rotating.log']);
+    expect(fs.statSync(path.join(logsDir, 'rotating.log')).size).toBeGreaterThan(MB);
+
+    logger.info(`3 ${LINE}`);
+    expect(files()).toEqual(['rotating.1.log', 'rotating.log']);
+    expect(read('rotating.log')).toContain('[INFO] 3 ');
+    expect(read('rotating.1.log')).toContain('[INFO] 0 ');
+
+    // Lines 0-20 fill seven files; only the newest five are kept
+    for (let index = 4; index < 21; index++) logger.info(`${index} ${LINE}`);
+    expect(files()).toEqual([
+      'rotating.1.log', 'rotating.2.log', 'rotating.3.log', 'rotating.4.log', 'rotating.log'
+    ]);
+    expect(read('rotating.log')).toMatch(/\[INFO\] 18 /);
+    expect(read('rotating.4.log')).toMatch(/\[INFO\] 6 /);
+    expect(files().map(read).join('')).not.toMatch(/\[INFO\] 5 /);
+  });
+
+  it('counts a file left from an earlier run', () => {
+    fs.writeFileSync(path.join(logsDir, 'earlier.log'), 'y'.repeat(MB));
+    getLogger('earlier').warn('after restart');
+    expect(files()).toEqual(['earlier.1.log', 'earlier.log']);
+    expect(read('earlier.log')).toMatch(/\[WARN\] after restart\n$/);
+  });
+});
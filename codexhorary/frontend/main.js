@@ -1,26 +1,105 @@
-const { app, BrowserWindow, Menu, shell, dialog } = require('electron');
+const { app, BrowserWindow, Menu, shell, dialog, ipcMain } = require('electron');
 const path = require('path');
-const { spawn } = require('child_process');
+const fs = require('fs');
+const { spawn, execSync } = require('child_process');
 const { promisify } = require('util');
 const net = require('net');
+const { EventEmitter } = require('events');
+const { setLogsDirectory, getLogsDirectory, getLogger, captureConsole } = require('./logger');
+const { buildDiagnosticsBundle } = require('./diagnostics');
+const { MIN_PYTHON_VERSION, discoverPython, clearCache: clearPythonCache } = require('./python-discovery');
 
 // Determine whether we are running in development mode
 const isDev = !app.isPackaged;
 
+// Log files under the OS logs directory, one per process (see logger.js)
+try {
+  setLogsDirectory(app.getPath('logs'));
+} catch (error) {
+  console.error('Could not create logs directory:', error);
+}
+const mainLog = getLogger('main');
+const backendLog = getLogger('backend');
+const rendererLog = getLogger('renderer');
+captureConsole(mainLog);
+
 let mainWindow;
 let backendProcess;
 let isQuitting = false;
+let backendStatus = { state: 'stopped' };
+const backendEvents = new EventEmitter();
 
 // Backend configuration
-const BACKEND_PORT = 5000;
+const BACKEND_HOST = '127.0.0.1';
+const PREFERRED_BACKEND_PORT = 5000;
+let backendPort = null; // resolved in startBackend()
+let backendLaunch = null; // what the last launch ran, for diagnostics
+let pythonDiscovery = null; // result of the last interpreter search
+
+// Main-process settings (the renderer keeps its own in localStorage)
+const APP_SETTINGS_FILE = path.join(app.getPath('userData'), 'settings.json');
+const PYTHON_CACHE_FILE = path.join(app.getPath('userData'), 'python-discovery.json');
 const FRONTEND_PORT = isDev ? 3000 : null;
 const MAX_BACKEND_STARTUP_TIME = 120000; // 120 seconds
 
+// Supervisor configuration
+const MAX_BACKEND_RESTARTS = 5;
+const RESTART_BASE_DELAY = 1000; // doubled on each consecutive restart
+const RESTART_MAX_DELAY = 30000;
+const BACKEND_STABLE_TIME = 60000; // healthy this long resets the restart count
+const HEALTH_CHECK_INTERVAL = 10000;
+const HEALTH_CHECK_TIMEOUT = 5000;
+const DEGRADED_AFTER_FAILURES = 2; // consecutive failed health checks
+const RESTART_AFTER_FAILURES = 6;
+const BACKEND_TERM_TIMEOUT = 5000; // grace period before force killing
+const BACKEND_KILL_TIMEOUT = 3000;
+
+const supervisor = {
+  restarts: 0,
+  launching: false,
+  restartTimer: null,
+  healthTimer: null,
+  healthFailures: 0,
+  readySince: null
+};
+
+function readAppSettings() {
+  try {
+    return JSON.parse(fs.readFileSync(APP_SETTINGS_FILE, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+function saveAppSettings(changes) {
+  const settings = { ...readAppSettings(), ...changes };
+  fs.mkdirSync(path.dirname(APP_SETTINGS_FILE), { recursive: true });
+  fs.writeFileSync(APP_SETTINGS_FILE, JSON.stringify(settings, null, 2));
+  return settings;
+}
+
+// Send an event to the renderer through the preload bridge
+function sendToRenderer(channel, payload) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
+  }
+}
+
+function getBackendUrl() {
+  return backendPort ? `http://${BACKEND_HOST}:${backendPort}` : null;
+}
+
+function setBackendStatus(state, detail = {}) {
+  backendStatus = { state, apiBaseUrl: getBackendUrl(), ...detail, updatedAt: new Date().toISOString() };
+  backendEvents.emit('status', backendStatus);
+  sendToRenderer('backend:status', backendStatus);
+}
+
 // Utility function to check if port is available
 function checkPort(port) {
   return new Promise((resolve) => {
     const server = net.createServer();
-    server.listen(port, () => {
+    server.listen(port, BACKEND_HOST, () => {
       server.once('close', () => resolve(true));
       server.close();
     });
@@ -28,30 +107,66 @@ function checkPort(port) {
   });
 }
 
-// Wait for backend to be ready
-async function waitForBackend() {
+// Ask the OS for an unused port
+function getEphemeralPort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.listen(0, BACKEND_HOST, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.on('error', reject);
+  });
+}
+
+// Use the preferred port when it is free (keeps dev URLs stable), otherwise
+// any free one - e.g. AirPlay holds 5000 on macOS, or another instance is running
+async function findBackendPort() {
+  if (await checkPort(PREFERRED_BACKEND_PORT)) {
+    return PREFERRED_BACKEND_PORT;
+  }
+  const port = await getEphemeralPort();
+  console.log(`Port ${PREFERRED_BACKEND_PORT} is in use, using ${port} instead`);
+  return port;
+}
+
+async function isBackendHealthy() {
+  try {
+    const response = await fetch(`${getBackendUrl()}/api/health`, {
+      signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT)
+    });
+    return response.ok;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wait for backend to be ready. Gives up early if the process exits or is
+// replaced while we are waiting.
+async function waitForBackend(child) {
   const startTime = Date.now();
   while (Date.now() - startTime < MAX_BACKEND_STARTUP_TIME) {
-    try {
-      const response = await fetch(`http://127.0.0.1:${BACKEND_PORT}/api/health`);
-      if (response.ok) {
-        console.log('Backend is ready');
-        return true;
-      }
-    } catch (error) {
-      // Backend not ready yet, continue waiting
+    if (backendProcess !== child) {
+      return false;
+    }
+    if (await isBackendHealthy()) {
+      console.log('Backend is ready');
+      return true;
     }
     await new Promise(resolve => setTimeout(resolve, 1000));
   }
   return false;
 }
 
-// Find backend executable (compiled or Python script)
-function findBackendExecutable() {
+// Find backend executable (compiled or Python script). Returns null when no
+// usable Python interpreter exists.
+async function findBackendExecutable(backendPath) {
   const executableName = process.platform === 'win32' ? 'horary_backend.exe' : 'horary_backend';
+  const { pythonPath } = readAppSettings();
   
-  // In production, look for the compiled executable first
-  if (!isDev) {
+  // In production, look for the compiled executable first, unless the user
+  // chose an interpreter in Settings
+  if (!isDev && !pythonPath) {
     const productionPaths = [
       // Electron resources paths
       path.join(process.resourcesPath, 'backend', executableName),
@@ -76,42 +191,26 @@ function findBackendExecutable() {
   }
 
   // Fallback to Python script (development or if executable not found)
-  const pythonPaths = [
-    'python',
-    'python3',
-    'python.exe',
-    'C:\\Python39\\python.exe',
-    'C:\\Python310\\python.exe',
-    'C:\\Python311\\python.exe',
-    'C:\\Python312\\python.exe',
-    path.join(process.env.LOCALAPPDATA || '', 'Programs', 'Python', 'Python39', 'python.exe'),
-    path.join(process.env.LOCALAPPDATA || '', 'Programs', 'Python', 'Python310', 'python.exe'),
-    path.join(process.env.LOCALAPPDATA || '', 'Programs', 'Python', 'Python311', 'python.exe'),
-    path.join(process.env.LOCALAPPDATA || '', 'Programs', 'Python', 'Python312', 'python.exe'),
-  ];
+  const python = await discoverPython({ backendPath, cacheFile: PYTHON_CACHE_FILE, override: pythonPath });
+  pythonDiscovery = python;
 
-  for (const pythonPath of pythonPaths) {
-    try {
-      const result = spawn(pythonPath, ['--version'], { stdio: 'pipe' });
-      if (result) {
-        console.log(`Found Python at: ${pythonPath}`);
-        return { executable: pythonPath, usesPython: true };
-      }
-    } catch (error) {
-      // Continue to next path
-    }
+  if (python.overrideError) {
+    console.error(`Configured Python interpreter ${pythonPath} is not usable: ${python.overrideError}`);
   }
-  
-  console.log('No backend executable or Python found, using fallback');
-  return { 
-    executable: process.platform === 'win32' ? 'python.exe' : 'python3', 
-    usesPython: true 
-  };
+  if (!python.executable) {
+    console.error('No usable Python interpreter found:');
+    python.attempts.forEach(attempt => console.error(`  ${attempt.executable}: ${attempt.error}`));
+    return null;
+  }
+
+  console.log(`Found Python ${python.version} at: ${python.executable} (${python.source})`);
+  return { executable: python.executable, usesPython: true, pythonVersion: python.version, pythonSource: python.source };
 }
 
 // Find backend directory
-function findBackendPath() {
-  const possiblePaths = [
+// Places the backend (app.py) may live, in search order
+function getBackendPathCandidates() {
+  return [
     // Development paths
     path.join(__dirname, '..', 'backend'),
     path.join(__dirname, 'backend'),
@@ -131,6 +230,10 @@ function findBackendPath() {
     path.join(path.dirname(process.execPath), 'resources', 'app', 'backend'),
     path.join(path.dirname(process.execPath), 'resources', 'app.asar.unpacked', 'backend'),
   ];
+}
+
+function findBackendPath() {
+  const possiblePaths = getBackendPathCandidates();
 
   console.log('Searching for backend in the following paths:');
   for (const backendPath of possiblePaths) {
@@ -156,21 +259,81 @@ function findBackendPath() {
   return fallbackPath;
 }
 
-// Start backend process
-async function startBackend() {
-  if (backendProcess) {
+// Start the backend and keep it running. Resolves true once it is healthy,
+// or false if it could not be started within the restart limit.
+function startBackend() {
+  if (isQuitting) {
+    return Promise.resolve(false);
+  }
+  if (backendProcess && backendStatus.state === 'ready') {
+    return Promise.resolve(true);
+  }
+
+  supervisor.restarts = 0;
+  return new Promise((resolve) => {
+    const onStatus = (status) => {
+      if (status.state === 'ready' || status.state === 'crashed') {
+        backendEvents.off('status', onStatus);
+        resolve(status.state === 'ready');
+      }
+    };
+    backendEvents.on('status', onStatus);
+    launchBackend();
+  });
+}
+
+// Spawn one backend process and wait for it to answer health checks
+async function launchBackend() {
+  if (backendProcess || supervisor.launching || isQuitting) {
     return;
   }
 
-  // Check if backend port is available
-  const portAvailable = await checkPort(BACKEND_PORT);
-  if (!portAvailable) {
-    console.error(`Port ${BACKEND_PORT} is already in use`);
-    return false;
+  supervisor.launching = true;
+  let child;
+  try {
+    child = await spawnBackend();
+  } catch (error) {
+    // spawnBackend reports the failures it expects; anything else would
+    // leave startBackend waiting for a status that never comes
+    console.error('Failed to start backend:', error);
+    setBackendStatus('crashed', { reason: 'spawn-failed', message: error.message });
+  } finally {
+    supervisor.launching = false;
+  }
+  if (!child) {
+    return;
   }
 
-  const backendInfo = findBackendExecutable();
+  const ready = await waitForBackend(child);
+  if (backendProcess !== child) {
+    // Exited while starting up; handleBackendExit has taken over
+    return;
+  }
+  if (!ready) {
+    console.error('Backend failed to start within timeout');
+    await stopBackend();
+    scheduleRestart({ reason: 'timeout' });
+    return;
+  }
+
+  supervisor.readySince = Date.now();
+  setBackendStatus('ready');
+  startHealthMonitor();
+}
+
+// Resolve the backend and start its process. Returns null (after reporting
+// the failure) if it could not be started.
+async function spawnBackend() {
   const backendPath = findBackendPath();
+  const backendInfo = await findBackendExecutable(backendPath);
+  if (!backendInfo) {
+    const reason = 'No Python interpreter with the backend requirements installed was found';
+    if (!isDev) {
+      dialog.showErrorBox('Backend Error', `${reason}.\n\nChoose an interpreter or virtualenv in Settings, or install the packages from requirements.txt.`);
+    }
+    setBackendStatus('crashed', { reason: 'no-python', message: reason });
+    return null;
+  }
 
   console.log(`Starting backend:`);
   console.log(`  Executable: ${backendInfo.executable}`);
@@ -193,7 +356,8 @@ async function startBackend() {
       if (!isDev) {
         dialog.showErrorBox('Backend Error', `Cannot find backend files at:\n${appScript}\n\nPlease ensure the application was built correctly.`);
       }
-      return false;
+      setBackendStatus('crashed', { reason: 'missing-backend' });
+      return null;
     }
 
     command = backendInfo.executable;
@@ -209,7 +373,8 @@ async function startBackend() {
       if (!isDev) {
         dialog.showErrorBox('Backend Error', `Cannot find backend executable at:\n${backendInfo.executable}\n\nPlease ensure the application was built correctly.`);
       }
-      return false;
+      setBackendStatus('crashed', { reason: 'missing-backend' });
+      return null;
     }
 
     command = backendInfo.executable;
@@ -217,52 +382,226 @@ async function startBackend() {
     cwd = path.dirname(backendInfo.executable);
   }
 
-  backendProcess = spawn(command, args, {
+  try {
+    backendPort = await findBackendPort();
+  } catch (error) {
+    console.error('Could not find a free port for the backend:', error);
+    scheduleRestart({ reason: 'no-port' });
+    return null;
+  }
+  console.log(`  Port: ${backendPort}`);
+  backendLaunch = { ...backendInfo, backendPath, command, args, cwd, port: backendPort };
+
+  setBackendStatus('starting', { attempt: supervisor.restarts });
+
+  const child = spawn(command, args, {
     cwd: cwd,
-    stdio: isDev ? 'inherit' : 'pipe',
+    stdio: 'pipe',
     env: { 
       ...process.env, 
       FLASK_ENV: isDev ? 'development' : 'production',
       PYTHONPATH: backendPath,
-      PYTHONUNBUFFERED: '1'
+      PYTHONUNBUFFERED: '1',
+      HORARY_API_PORT: String(backendPort)
     }
   });
+  backendProcess = child;
+  backendLog.info(`--- Backend started (pid ${child.pid}, port ${backendPort}) ---`);
 
-  // Log backend output in production for debugging
-  if (!isDev && backendProcess.stdout && backendProcess.stderr) {
-    backendProcess.stdout.on('data', (data) => {
-      console.log(`Backend stdout: ${data}`);
-    });
-    
-    backendProcess.stderr.on('data', (data) => {
-      console.error(`Backend stderr: ${data}`);
-    });
-  }
+  // Backend output goes to backend.log, and to the terminal in development
+  child.stdout.on('data', (data) => {
+    backendLog.output('stdout', data);
+    if (isDev) process.stdout.write(data);
+  });
+  child.stderr.on('data', (data) => {
+    backendLog.output('stderr', data);
+    if (isDev) process.stderr.write(data);
+  });
 
-  backendProcess.on('error', (error) => {
+  child.on('error', (error) => {
     console.error('Backend process error:', error);
-    if (!isDev) {
-      dialog.showErrorBox('Backend Error', `Failed to start backend: ${error.message}`);
+    // 'exit' is not emitted when the process could not be spawned at all
+    if (child.pid === undefined) {
+      handleBackendExit(child, { reason: 'spawn-error', message: error.message });
     }
   });
 
-  backendProcess.on('exit', (code, signal) => {
+  child.on('exit', (code, signal) => {
     console.log(`Backend process exited with code ${code} and signal ${signal}`);
-    backendProcess = null;
-    if (!isQuitting && code !== 0) {
-      // Restart backend if it crashes unexpectedly
-      setTimeout(() => startBackend(), 2000);
+    backendLog.info(`--- Backend exited (code ${code}, signal ${signal}) ---`);
+    handleBackendExit(child, { reason: 'exited', code, signal });
+  });
+
+  return child;
+}
+
+// Unexpected exit of the supervised process (stopBackend detaches the process
+// first, so intentional shutdowns never get here)
+function handleBackendExit(child, detail) {
+  if (backendProcess !== child) {
+    return;
+  }
+  backendProcess = null;
+  stopHealthMonitor();
+  scheduleRestart(detail);
+}
+
+// Restart with exponential backoff, giving up after MAX_BACKEND_RESTARTS
+function scheduleRestart(detail) {
+  if (isQuitting) {
+    return;
+  }
+  if (supervisor.restarts >= MAX_BACKEND_RESTARTS) {
+    console.error(`Backend failed ${supervisor.restarts + 1} times in a row, giving up`);
+    if (backendLaunch && backendLaunch.pythonSource === 'cache') {
+      // The cached interpreter may have broken; search again next time
+      clearPythonCache(PYTHON_CACHE_FILE);
     }
+    setBackendStatus('crashed', { ...detail, restarts: supervisor.restarts });
+    return;
+  }
+
+  const delay = Math.min(RESTART_BASE_DELAY * 2 ** supervisor.restarts, RESTART_MAX_DELAY);
+  supervisor.restarts += 1;
+  console.log(`Restarting backend in ${delay}ms (attempt ${supervisor.restarts} of ${MAX_BACKEND_RESTARTS})`);
+  setBackendStatus('degraded', {
+    ...detail,
+    attempt: supervisor.restarts,
+    maxAttempts: MAX_BACKEND_RESTARTS,
+    retryInMs: delay
   });
 
-  // Wait for backend to be ready
-  const ready = await waitForBackend();
-  if (!ready) {
-    console.error('Backend failed to start within timeout');
-    return false;
+  clearTimeout(supervisor.restartTimer);
+  supervisor.restartTimer = setTimeout(() => {
+    supervisor.restartTimer = null;
+    launchBackend();
+  }, delay);
+}
+
+// Periodic health checks while the backend is up. A backend that stops
+// answering is reported as degraded, then restarted.
+function startHealthMonitor() {
+  stopHealthMonitor();
+  supervisor.healthFailures = 0;
+  supervisor.healthTimer = setInterval(async () => {
+    const child = backendProcess;
+    const healthy = await isBackendHealthy();
+    if (!child || backendProcess !== child) {
+      return;
+    }
+
+    if (healthy) {
+      supervisor.healthFailures = 0;
+      if (backendStatus.state === 'degraded') {
+        setBackendStatus('ready');
+      }
+      if (supervisor.restarts > 0 && Date.now() - supervisor.readySince >= BACKEND_STABLE_TIME) {
+        supervisor.restarts = 0;
+      }
+      return;
+    }
+
+    supervisor.healthFailures += 1;
+    if (supervisor.healthFailures >= RESTART_AFTER_FAILURES) {
+      console.error('Backend stopped responding, restarting');
+      await stopBackend();
+      scheduleRestart({ reason: 'unresponsive' });
+    } else if (supervisor.healthFailures >= DEGRADED_AFTER_FAILURES && backendStatus.state === 'ready') {
+      setBackendStatus('degraded', { reason: 'unresponsive' });
+    }
+  }, HEALTH_CHECK_INTERVAL);
+}
+
+function stopHealthMonitor() {
+  clearInterval(supervisor.healthTimer);
+  supervisor.healthTimer = null;
+}
+
+// User-requested restart, e.g. after the supervisor gave up
+async function restartBackend() {
+  await stopBackend();
+  return startBackend();
+}
+
+function terminateProcess(child) {
+  if (process.platform === 'win32') {
+    // Without /f taskkill asks the process tree to close
+    spawn('taskkill', ['/pid', String(child.pid), '/t'], { stdio: 'ignore' }).on('error', () => {});
+  } else {
+    child.kill('SIGTERM');
   }
+}
 
-  return true;
+function forceKillProcess(child) {
+  if (process.platform === 'win32') {
+    // /t takes the PyInstaller bootloader's child process down too
+    spawn('taskkill', ['/pid', String(child.pid), '/t', '/f'], { stdio: 'ignore' })
+      .on('error', () => child.kill('SIGKILL'));
+  } else {
+    child.kill('SIGKILL');
+  }
+}
+
+// Shut the backend down: running -> terminating (SIGTERM) -> killing
+// (SIGKILL / taskkill /f) -> stopped. Resolves once the process has exited,
+// or after the kill timeout if it never reports back.
+function stopBackend() {
+  clearTimeout(supervisor.restartTimer);
+  supervisor.restartTimer = null;
+  stopHealthMonitor();
+
+  const child = backendProcess;
+  backendProcess = null;
+  if (!child || child.pid === undefined || child.exitCode !== null || child.signalCode !== null) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    let state = 'terminating';
+    let timer = null;
+
+    const finish = () => {
+      if (state === 'stopped') return;
+      state = 'stopped';
+      clearTimeout(timer);
+      resolve();
+    };
+
+    child.once('exit', finish);
+
+    console.log('Terminating backend process...');
+    try {
+      terminateProcess(child);
+    } catch (error) {
+      console.error('Error terminating backend process:', error);
+    }
+
+    timer = setTimeout(() => {
+      if (state !== 'terminating') return;
+      state = 'killing';
+      console.log('Backend did not exit, force killing...');
+      try {
+        forceKillProcess(child);
+      } catch (error) {
+        console.error('Error force killing backend process:', error);
+      }
+      timer = setTimeout(finish, BACKEND_KILL_TIMEOUT);
+    }, BACKEND_TERM_TIMEOUT);
+  });
+}
+
+// Last resort when the main process exits without going through before-quit
+function killBackendSync() {
+  if (!backendProcess) return;
+  try {
+    if (process.platform === 'win32') {
+      execSync(`taskkill /pid ${backendProcess.pid} /t /f`, { stdio: 'ignore' });
+    } else {
+      backendProcess.kill('SIGKILL');
+    }
+  } catch (error) {
+    // Ignore errors during cleanup
+  }
 }
 
 // Create the main window
@@ -274,6 +613,7 @@ function createWindow() {
     minHeight: 600,
     icon: path.join(__dirname, 'assets', process.platform === 'win32' ? 'icon.ico' : process.platform === 'darwin' ? 'icon.icns' : 'icon.png'),
     webPreferences: {
+      preload: path.join(__dirname, 'preload.js'),
       nodeIntegration: false,
       contextIsolation: true,
       enableRemoteModule: false,
@@ -304,6 +644,16 @@ function createWindow() {
     }
   });
 
+  // Forward renderer console output (including uncaught errors) to renderer.log
+  const consoleLevels = ['info', 'info', 'warn', 'error'];
+  mainWindow.webContents.on('console-message', (event, level, message, line, sourceId) => {
+    rendererLog[consoleLevels[level] || 'info'](sourceId ? `${message} (${sourceId}:${line})` : message);
+  });
+
+  mainWindow.webContents.on('render-process-gone', (event, details) => {
+    rendererLog.error('Renderer process gone:', details);
+  });
+
   // Handle window closed
   mainWindow.on('closed', () => {
     mainWindow = null;
@@ -318,6 +668,61 @@ function createWindow() {
   return mainWindow;
 }
 
+// Write a zip with logs, backend paths and API status for support requests
+async function exportDiagnostics() {
+  const stamp = new Date().toISOString().slice(0, 16).replace(/[-:T]/g, '');
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Diagnostics',
+    defaultPath: path.join(app.getPath('documents'), `vox-stella-diagnostics-${stamp}.zip`),
+    filters: [{ name: 'Zip Archive', extensions: ['zip'] }]
+  });
+  if (result.canceled || !result.filePath) {
+    return;
+  }
+
+  try {
+    const pathCandidates = getBackendPathCandidates().map(candidate => ({
+      path: candidate,
+      hasAppPy: fs.existsSync(path.join(candidate, 'app.py'))
+    }));
+    const matched = pathCandidates.find(candidate => candidate.hasAppPy);
+
+    const bundle = await buildDiagnosticsBundle({
+      app: {
+        name: app.getName(),
+        version: app.getVersion(),
+        electron: process.versions.electron,
+        chrome: process.versions.chrome,
+        node: process.versions.node,
+        packaged: app.isPackaged,
+        locale: app.getLocale()
+      },
+      backend: {
+        status: backendStatus,
+        restarts: supervisor.restarts,
+        launch: backendLaunch,
+        pathCandidates,
+        matchedPath: matched ? matched.path : null,
+        python: getPythonInfo()
+      },
+      apiBaseUrl: getBackendUrl(),
+      logsDir: getLogsDirectory()
+    });
+    fs.writeFileSync(result.filePath, bundle);
+    console.log(`Diagnostics exported to ${result.filePath}`);
+
+    dialog.showMessageBox(mainWindow, {
+      type: 'info',
+      title: 'Diagnostics Exported',
+      message: 'Diagnostics saved',
+      detail: `${result.filePath}\n\nQuestions, notes and locations have been removed from the bundle.`
+    });
+  } catch (error) {
+    console.error('Failed to export diagnostics:', error);
+    dialog.showErrorBox('Export Failed', `Could not write the diagnostics bundle:\n${error.message}`);
+  }
+}
+
 // Create application menu
 function createMenu() {
   const template = [
@@ -328,7 +733,7 @@ function createMenu() {
           label: 'New Chart',
           accelerator: 'CmdOrCtrl+N',
           click: () => {
-            mainWindow.webContents.send('menu-new-chart');
+            sendToRenderer('menu:new-chart');
           }
         },
         { type: 'separator' },
@@ -377,6 +782,17 @@ function createMenu() {
     {
       label: 'Help',
       submenu: [
+        {
+          label: 'Open Logs Folder',
+          click: () => {
+            shell.openPath(getLogsDirectory() || app.getPath('logs'));
+          }
+        },
+        {
+          label: 'Export Diagnostics…',
+          click: () => exportDiagnostics()
+        },
+        { type: 'separator' },
         {
           label: 'About',
           click: () => {
@@ -423,9 +839,122 @@ function createMenu() {
   Menu.setApplicationMenu(menu);
 }
 
+// What the Settings view shows about the interpreter
+function getPythonInfo() {
+  return {
+    override: readAppSettings().pythonPath || '',
+    minimumVersion: MIN_PYTHON_VERSION.join('.'),
+    usesPython: backendLaunch ? backendLaunch.usesPython : null,
+    executable: pythonDiscovery ? pythonDiscovery.executable : null,
+    version: pythonDiscovery ? pythonDiscovery.version : null,
+    source: pythonDiscovery ? pythonDiscovery.source : null,
+    overrideError: pythonDiscovery ? pythonDiscovery.overrideError : null,
+    attempts: pythonDiscovery
+      ? pythonDiscovery.attempts.map(({ executable, version, error }) => ({ executable, version, error }))
+      : []
+  };
+}
+
+// IPC handlers backing the preload bridge (see preload.js)
+function registerIpcHandlers() {
+  ipcMain.handle('app:get-info', () => ({
+    name: app.getName(),
+    version: app.getVersion(),
+    electron: process.versions.electron,
+    platform: process.platform,
+    arch: process.arch,
+    isDev
+  }));
+
+  ipcMain.handle('backend:get-status', () => backendStatus);
+  ipcMain.handle('backend:restart', () => restartBackend());
+
+  ipcMain.handle('python:get-info', () => getPythonInfo());
+
+  // Empty path goes back to automatic discovery. Either way the cache is
+  // dropped and the backend restarted with the new choice.
+  ipcMain.handle('python:set-interpreter', async (event, pythonPath) => {
+    saveAppSettings({ pythonPath: pythonPath ? String(pythonPath).trim() : '' });
+    clearPythonCache(PYTHON_CACHE_FILE);
+    await restartBackend();
+    return getPythonInfo();
+  });
+
+  ipcMain.handle('python:browse', async () => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Choose Python Interpreter or Virtualenv',
+      properties: process.platform === 'darwin' ? ['openFile', 'openDirectory'] : ['openFile']
+    });
+    return result.canceled || result.filePaths.length === 0 ? null : result.filePaths[0];
+  });
+
+  // Synchronous so the renderer can resolve its API URL before first render
+  ipcMain.on('backend:get-api-base-url', (event) => {
+    event.returnValue = getBackendUrl();
+  });
+
+  // Crashes caught by the renderer's ErrorBoundary
+  ipcMain.on('log:renderer-error', (event, report = {}) => {
+    rendererLog.error('Renderer crash:', report.message || 'Unknown error');
+    if (report.stack) rendererLog.error(report.stack);
+    if (report.componentStack) rendererLog.error('Component stack:', report.componentStack);
+  });
+
+  ipcMain.handle('dialog:open-file', async (event, options = {}) => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: options.title,
+      filters: options.filters,
+      properties: ['openFile']
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return { canceled: true };
+    }
+    const filePath = result.filePaths[0];
+    return { canceled: false, filePath, content: fs.readFileSync(filePath, 'utf8') };
+  });
+
+  ipcMain.handle('dialog:save-file', async (event, options = {}) => {
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: options.title,
+      defaultPath: options.defaultPath,
+      filters: options.filters
+    });
+    if (result.canceled || !result.filePath) {
+      return { canceled: true };
+    }
+    // Binary content arrives as a Uint8Array, text as a string
+    const content = typeof options.content === 'string'
+      ? options.content
+      : Buffer.from(options.content || []);
+    fs.writeFileSync(result.filePath, content);
+    return { canceled: false, filePath: result.filePath };
+  });
+
+  // Print the sender's page (the report preview) to a PDF chosen by the user.
+  // Margins and paper come from the page's @page rule.
+  ipcMain.handle('report:print-to-pdf', async (event, options = {}) => {
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Save Report as PDF',
+      defaultPath: options.defaultPath,
+      filters: [{ name: 'PDF Document', extensions: ['pdf'] }]
+    });
+    if (result.canceled || !result.filePath) {
+      return { canceled: true };
+    }
+    const pdf = await event.sender.printToPDF({
+      pageSize: options.pageSize === 'Letter' ? 'Letter' : 'A4',
+      printBackground: true,
+      preferCSSPageSize: true
+    });
+    fs.writeFileSync(result.filePath, pdf);
+    return { canceled: false, filePath: result.filePath };
+  });
+}
+
 // App event handlers
 app.whenReady().then(async () => {
   console.log('App ready, starting backend...');
+  registerIpcHandlers();
   
   // Start backend first
   const backendStarted = await startBackend();
@@ -447,106 +976,27 @@ app.whenReady().then(async () => {
 
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
-    // Ensure backend cleanup before quitting
-    if (backendProcess && !isQuitting) {
-      isQuitting = true;
-      
-      if (process.platform === 'win32') {
-        // Windows-specific cleanup
-        try {
-          const { spawn } = require('child_process');
-          spawn('taskkill', ['/pid', backendProcess.pid, '/t', '/f'], {
-            stdio: 'ignore'
-          });
-          setTimeout(() => {
-            backendProcess = null;
-            app.quit();
-          }, 1000);
-        } catch (error) {
-          backendProcess.kill('SIGKILL');
-          backendProcess = null;
-          app.quit();
-        }
-      } else {
-        backendProcess.kill('SIGTERM');
-        setTimeout(() => {
-          if (backendProcess) {
-            backendProcess.kill('SIGKILL');
-          }
-          backendProcess = null;
-          app.quit();
-        }, 2000);
-      }
-    } else {
-      app.quit();
-    }
+    app.quit();
   }
 });
 
-app.on('before-quit', () => {
+// Hold the quit until the backend has shut down, then quit for real
+let shutdownState = 'running'; // running -> stopping -> stopped
+app.on('before-quit', (event) => {
   isQuitting = true;
-  
-  // Terminate backend process with Windows-specific handling
-  if (backendProcess) {
-    console.log('Terminating backend process...');
-    
-    if (process.platform === 'win32') {
-      // Windows-specific process termination
-      try {
-        // First attempt: graceful termination
-        backendProcess.kill('SIGTERM');
-        
-        // Second attempt: force kill after 3 seconds (reduced timeout)
-        setTimeout(() => {
-          if (backendProcess && !backendProcess.killed) {
-            console.log('Force killing backend process on Windows...');
-            try {
-              // Use taskkill for more reliable Windows process termination
-              const { spawn } = require('child_process');
-              spawn('taskkill', ['/pid', backendProcess.pid, '/t', '/f'], {
-                stdio: 'ignore'
-              });
-            } catch (error) {
-              console.error('Error using taskkill:', error);
-              // Fallback to SIGKILL
-              try {
-                backendProcess.kill('SIGKILL');
-              } catch (killError) {
-                console.error('Error with SIGKILL:', killError);
-              }
-            }
-          }
-        }, 3000);
-        
-        // Final cleanup after 6 seconds
-        setTimeout(() => {
-          if (backendProcess && !backendProcess.killed) {
-            console.log('Final cleanup attempt...');
-            try {
-              backendProcess.kill(9); // Force kill with signal 9
-            } catch (error) {
-              console.error('Final cleanup failed:', error);
-            }
-            backendProcess = null;
-          }
-        }, 6000);
-        
-      } catch (error) {
-        console.error('Error terminating backend process:', error);
-        backendProcess = null;
-      }
-    } else {
-      // Unix/Linux/macOS termination (original logic)
-      backendProcess.kill('SIGTERM');
-      
-      // Force kill after 5 seconds if it doesn't exit gracefully
-      setTimeout(() => {
-        if (backendProcess) {
-          backendProcess.kill('SIGKILL');
-        }
-      }, 5000);
-    }
+  if (shutdownState === 'stopped') {
+    return;
+  }
+
+  event.preventDefault();
+  if (shutdownState === 'stopping') {
+    return;
   }
+  shutdownState = 'stopping';
+  stopBackend().finally(() => {
+    shutdownState = 'stopped';
+    app.quit();
+  });
 });
 
 // Security: Prevent new window creation
@@ -571,48 +1021,8 @@ app.on('certificate-error', (event, webContents, url, error, certificate, callba
 
 console.log(`Vox Stella starting in ${isDev ? 'development' : 'production'} mode`);
 
-// Additional cleanup on process exit (Windows-specific enhancement)
-process.on('exit', () => {
-  if (backendProcess && process.platform === 'win32') {
-    try {
-      const { execSync } = require('child_process');
-      execSync(`taskkill /pid ${backendProcess.pid} /t /f`, { stdio: 'ignore' });
-    } catch (error) {
-      // Ignore errors during cleanup
-    }
-  }
-});
-
-// Handle SIGINT (Ctrl+C) for proper cleanup
-process.on('SIGINT', () => {
-  if (backendProcess) {
-    if (process.platform === 'win32') {
-      try {
-        const { execSync } = require('child_process');
-        execSync(`taskkill /pid ${backendProcess.pid} /t /f`, { stdio: 'ignore' });
-      } catch (error) {
-        // Ignore errors
-      }
-    } else {
-      backendProcess.kill('SIGTERM');
-    }
-  }
-  process.exit(0);
-});
+process.on('exit', killBackendSync);
 
-// Handle SIGTERM for proper cleanup
-process.on('SIGTERM', () => {
-  if (backendProcess) {
-    if (process.platform === 'win32') {
-      try {
-        const { execSync } = require('child_process');
-        execSync(`taskkill /pid ${backendProcess.pid} /t /f`, { stdio: 'ignore' });
-      } catch (error) {
-        // Ignore errors
-      }
-    } else {
-      backendProcess.kill('SIGTERM');
-    }
-  }
-  process.exit(0);
-});
\ No newline at end of file
+// Ctrl+C / kill: go through the normal quit path so the backend is shut down
+process.on('SIGINT', () => app.quit());
+process.on('SIGTERM', () => app.quit());
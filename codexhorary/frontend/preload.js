@@ -0,0 +1,97 @@
+// Preload script - exposes a small, whitelisted IPC bridge to the renderer
+// as window.voxStella. The renderer has no Node access (contextIsolation is on),
+// so everything it needs from the main process goes through here.
+//
+// Bump BRIDGE_VERSION whenever a channel is removed or changes shape, so the
+// renderer can tell it is talking to an incompatible main process.
+const { contextBridge, ipcRenderer } = require('electron');
+
+const BRIDGE_VERSION = 1;
+
+// Events the main process may push to the renderer
+const EVENT_CHANNELS = [
+  'menu:new-chart',
+  'backend:status'
+];
+
+// Request/response calls the renderer may make
+const INVOKE_CHANNELS = [
+  'app:get-info',
+  'backend:get-status',
+  'backend:restart',
+  'python:get-info',
+  'python:set-interpreter',
+  'python:browse',
+  'dialog:open-file',
+  'dialog:save-file',
+  'report:print-to-pdf'
+];
+
+// Base URL of the backend this window should talk to. The main process picks
+// a free port at startup and may pick another if the backend is restarted.
+let apiBaseUrl = ipcRenderer.sendSync('backend:get-api-base-url');
+ipcRenderer.on('backend:status', (event, status) => {
+  if (status && status.apiBaseUrl) {
+    apiBaseUrl = status.apiBaseUrl;
+  }
+});
+
+// One-way messages the renderer may send
+const SEND_CHANNELS = [
+  'log:renderer-error'
+];
+
+function send(channel, payload) {
+  if (!SEND_CHANNELS.includes(channel)) {
+    throw new Error(`Channel not allowed: ${channel}`);
+  }
+  ipcRenderer.send(channel, payload);
+}
+
+function invoke(channel, ...args) {
+  if (!INVOKE_CHANNELS.includes(channel)) {
+    return Promise.reject(new Error(`Channel not allowed: ${channel}`));
+  }
+  return ipcRenderer.invoke(channel, ...args);
+}
+
+contextBridge.exposeInMainWorld('voxStella', {
+  version: BRIDGE_VERSION,
+  platform: process.platform,
+
+  // Subscribe to a main-process event; returns an unsubscribe function
+  on(channel, listener) {
+    if (!EVENT_CHANNELS.includes(channel)) {
+      throw new Error(`Channel not allowed: ${channel}`);
+    }
+    const wrapped = (event, payload) => listener(payload);
+    ipcRenderer.on(channel, wrapped);
+    return () => ipcRenderer.removeListener(channel, wrapped);
+  },
+
+  getAppInfo: () => invoke('app:get-info'),
+  // { state: 'starting' | 'ready' | 'degraded' | 'crashed' | 'stopped', ... }
+  getBackendStatus: () => invoke('backend:get-status'),
+  // Resolves true once the restarted backend is healthy
+  restartBackend: () => invoke('backend:restart'),
+
+  // Interpreter used to run the backend from source
+  getPythonInfo: () => invoke('python:get-info'),
+  // Path to an interpreter or virtualenv; '' for automatic discovery.
+  // Restarts the backend and resolves with the new getPythonInfo()
+  setPythonInterpreter: (pythonPath) => invoke('python:set-interpreter', pythonPath),
+  // Native picker -> path or null
+  browsePythonInterpreter: () => invoke('python:browse'),
+  // Synchronous; null until the main process has started the backend
+  getApiBaseUrl: () => apiBaseUrl,
+
+  // report: { message, stack, componentStack } -> written to renderer.log
+  reportError: (report) => send('log:renderer-error', report),
+
+  // options: { title, filters } -> { canceled, filePath, content }
+  openFile: (options) => invoke('dialog:open-file', options),
+  // options: { title, defaultPath, filters, content } -> { canceled, filePath }
+  saveFile: (options) => invoke('dialog:save-file', options),
+  // options: { pageSize: 'A4' | 'Letter', defaultPath } -> { canceled, filePath }
+  printReportToPdf: (options) => invoke('report:print-to-pdf', options)
+});
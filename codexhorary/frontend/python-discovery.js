@@ -0,0 +1,220 @@
+// Finds a Python interpreter that can actually run the backend: each
+// candidate is run, its version checked against MIN_PYTHON_VERSION and the
+// backend's runtime requirements imported. The result is cached in
+// <userData>/python-discovery.json and reused while the interpreter and
+// requirements.txt are unchanged.
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIN_PYTHON_VERSION = [3, 8];
+const PROBE_TIMEOUT = 30000; // first import of swisseph etc. can be slow
+const CACHE_VERSION = 1;
+
+// requirements.txt names whose import name differs
+const IMPORT_NAMES = {
+  'flask-cors': 'flask_cors',
+  pyswisseph: 'swisseph',
+  'python-dateutil': 'dateutil',
+  pyyaml: 'yaml'
+};
+// Build and development tools listed in requirements.txt, not needed to run
+const NOT_IMPORTED = ['gunicorn', 'pyinstaller', 'watchdog', 'python-dotenv'];
+const DEFAULT_MODULES = ['flask', 'flask_cors', 'swisseph', 'geopy', 'timezonefinder', 'pytz', 'dateutil', 'yaml'];
+
+const PROBE_SCRIPT = `
+import importlib, json, sys
+missing = []
+for name in sys.argv[1:]:
+    try:
+        importlib.import_module(name)
+    except Exception as error:
+        missing.append({'module': name, 'error': str(error)})
+print(json.dumps({'version': list(sys.version_info[:3]), 'executable': sys.executable, 'missing': missing}))
+`;
+
+function readRequirements(backendPath) {
+  try {
+    return fs.readFileSync(path.join(backendPath, 'requirements.txt'), 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+// Import names of the runtime packages in requirements.txt
+function getRequiredModules(requirements) {
+  if (!requirements) {
+    return DEFAULT_MODULES;
+  }
+  return requirements
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*/, '').trim())
+    .filter(Boolean)
+    .map(line => line.split(/[<>=!~;\[\s]/)[0].toLowerCase())
+    .filter(name => name && !NOT_IMPORTED.includes(name))
+    .map(name => IMPORT_NAMES[name] || name.replace(/-/g, '_'));
+}
+
+// Interpreter inside a virtualenv directory, or the path itself
+function resolveInterpreter(candidate) {
+  try {
+    if (fs.statSync(candidate).isDirectory()) {
+      const inVenv = process.platform === 'win32'
+        ? path.join(candidate, 'Scripts', 'python.exe')
+        : path.join(candidate, 'bin', 'python');
+      return inVenv;
+    }
+  } catch (error) {
+    // Not a path on disk - a command name such as 'python3'
+  }
+  return candidate;
+}
+
+function getCandidates(backendPath) {
+  const venvs = ['.venv', 'venv', 'env'].map(dir => resolveInterpreter(path.join(backendPath, dir)));
+
+  if (process.platform === 'win32') {
+    const localPrograms = path.join(process.env.LOCALAPPDATA || '', 'Programs', 'Python');
+    const versions = ['313', '312', '311', '310', '39', '38'];
+    return [
+      ...venvs,
+      'py',
+      'python',
+      'python3',
+      ...versions.map(v => path.join(localPrograms, `Python${v}`, 'python.exe')),
+      ...versions.map(v => `C:\\Python${v}\\python.exe`)
+    ];
+  }
+
+  return [
+    ...venvs,
+    'python3',
+    'python',
+    '/opt/homebrew/bin/python3',
+    '/usr/local/bin/python3',
+    '/usr/bin/python3'
+  ];
+}
+
+function isVersionSupported(version) {
+  const [major, minor] = version;
+  return major > MIN_PYTHON_VERSION[0] || (major === MIN_PYTHON_VERSION[0] && minor >= MIN_PYTHON_VERSION[1]);
+}
+
+// Run one interpreter -> { ok, executable, resolvedPath, version, missing, error }
+function probeInterpreter(executable, backendPath, modules) {
+  return new Promise((resolve) => {
+    execFile(executable, ['-c', PROBE_SCRIPT, ...modules], {
+      cwd: backendPath,
+      timeout: PROBE_TIMEOUT,
+      windowsHide: true,
+      env: { ...process.env, PYTHONPATH: backendPath }
+    }, (error, stdout) => {
+      let info = null;
+      try {
+        info = JSON.parse(String(stdout).trim().split(/\r?\n/).pop());
+      } catch (parseError) {
+        // Not Python, or it crashed before printing
+      }
+      if (!info) {
+        resolve({ ok: false, executable, error: error ? error.message : 'No output from interpreter' });
+        return;
+      }
+
+      const result = { executable, resolvedPath: info.executable, version: info.version.join('.'), missing: info.missing };
+      if (!isVersionSupported(info.version)) {
+        resolve({ ...result, ok: false, error: `Python ${result.version} is older than ${MIN_PYTHON_VERSION.join('.')}` });
+      } else if (info.missing.length > 0) {
+        resolve({ ...result, ok: false, error: `Missing modules: ${info.missing.map(m => m.module).join(', ')}` });
+      } else {
+        resolve({ ...result, ok: true });
+      }
+    });
+  });
+}
+
+function fingerprint(file) {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+}
+
+function hash(text) {
+  return crypto.createHash('sha1').update(text || '').digest('hex');
+}
+
+function readCache(cacheFile) {
+  try {
+    const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    return cache.cacheVersion === CACHE_VERSION ? cache : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function clearCache(cacheFile) {
+  fs.rmSync(cacheFile, { force: true });
+}
+
+// options: { backendPath, cacheFile, override } -> {
+//   executable, version, source: 'override' | 'cache' | 'discovered',
+//   attempts: [probe results], overrideError? }, with executable null when
+//   no candidate works
+async function discoverPython({ backendPath, cacheFile, override }) {
+  const requirements = readRequirements(backendPath);
+  const modules = getRequiredModules(requirements);
+  const requirementsHash = hash(requirements);
+  const attempts = [];
+  let overrideError = null;
+
+  if (override) {
+    const probe = await probeInterpreter(resolveInterpreter(override), backendPath, modules);
+    attempts.push(probe);
+    if (probe.ok) {
+      return { ...probe, source: 'override', attempts };
+    }
+    overrideError = probe.error;
+  }
+
+  const cache = readCache(cacheFile);
+  if (cache && cache.requirementsHash === requirementsHash &&
+      cache.resolvedPath && fingerprint(cache.resolvedPath) === cache.interpreterMtime) {
+    return { executable: cache.executable, resolvedPath: cache.resolvedPath, version: cache.version, source: 'cache', attempts, overrideError };
+  }
+
+  for (const candidate of getCandidates(backendPath)) {
+    if (path.isAbsolute(candidate) && !fs.existsSync(candidate)) {
+      continue;
+    }
+    const probe = await probeInterpreter(candidate, backendPath, modules);
+    attempts.push(probe);
+    if (probe.ok) {
+      try {
+        fs.writeFileSync(cacheFile, JSON.stringify({
+          cacheVersion: CACHE_VERSION,
+          executable: probe.resolvedPath || candidate,
+          resolvedPath: probe.resolvedPath,
+          interpreterMtime: fingerprint(probe.resolvedPath),
+          version: probe.version,
+          requirementsHash
+        }, null, 2));
+      } catch (error) {
+        // Caching is best effort
+      }
+      return { ...probe, executable: probe.resolvedPath || candidate, source: 'discovered', attempts, overrideError };
+    }
+  }
+
+  return { executable: null, source: null, attempts, overrideError };
+}
+
+module.exports = {
+  MIN_PYTHON_VERSION,
+  discoverPython,
+  clearCache,
+  getRequiredModules,
+  resolveInterpreter
+};
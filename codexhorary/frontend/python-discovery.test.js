@@ -0,0 +1,151 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { clearCache, discoverPython, getRequiredModules, resolveInterpreter } from './python-discovery.js';
+
+const posix = process.platform !== 'win32';
+
+let root;
+let backendPath;
+let cacheFile;
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'python-discovery-'));
+  backendPath = path.join(root, 'backend');
+  fs.mkdirSync(backendPath);
+  cacheFile = path.join(root, 'python-discovery.json');
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// A stand-in interpreter at <backend>/.venv/bin/python that answers the probe
+// as a Python 3.11 with every module installed, and counts its runs
+const fakeVenv = () => {
+  const interpreter = path.join(backendPath, '.venv', 'bin', 'python');
+  const runs = path.join(root, 'runs');
+  fs.mkdirSync(path.dirname(interpreter), { recursive: true });
+  fs.writeFileSync(interpreter, [
+    '#!/bin/sh',
+    `echo run >> '${runs}'`,
+    `echo '{"version": [3, 11, 4], "executable": "${interpreter}", "missing": []}'`,
+    ''
+  ].join('\n'));
+  fs.chmodSync(interpreter, 0o755);
+  return { interpreter, runCount: () => (fs.existsSync(runs) ? fs.readFileSync(runs, 'utf8').split('\n').filter(Boolean).length : 0) };
+};
+
+describe('getRequiredModules', () => {
+  it('maps requirement names to import names and skips build tools', () => {
+    const requirements = [
+      '# Core Flask dependencies',
+      'Flask==2.3.3',
+      'Flask-CORS==4.0.0  # CORS',
+      'pyswisseph==2.10.3.2',
+      'geopy>=2.4',
+      'python-dateutil~=2.8',
+      'PyYAML==6.0.2',
+      'some-package[extra]; python_version > "3.8"',
+      'gunicorn==21.2.0',
+      'python-dotenv==1.0.0',
+      'watchdog>=3.0.0',
+      'pyinstaller==6.1.0',
+      '# pytest==7.4.3',
+      ''
+    ].join('\r\n');
+    expect(getRequiredModules(requirements)).toEqual([
+      'flask', 'flask_cors', 'swisseph', 'geopy', 'dateutil', 'yaml', 'some_package'
+    ]);
+  });
+
+  it('falls back to the backend\'s known modules without requirements.txt', () => {
+    expect(getRequiredModules(null)).toEqual(
+      ['flask', 'flask_cors', 'swisseph', 'geopy', 'timezonefinder', 'pytz', 'dateutil', 'yaml']
+    );
+  });
+
+  it('matches the backend\'s own requirements.txt', () => {
+    const requirements = fs.readFileSync(path.join(__dirname, '..', 'backend', 'requirements.txt'), 'utf8');
+    expect(getRequiredModules(requirements)).toEqual(
+      ['flask', 'flask_cors', 'swisseph', 'geopy', 'timezonefinder', 'pytz', 'requests', 'dateutil', 'yaml']
+    );
+  });
+});
+
+describe('resolveInterpreter', () => {
+  it('finds the interpreter inside a virtualenv directory', () => {
+    const venv = path.join(root, 'venv');
+    fs.mkdirSync(venv);
+    expect(resolveInterpreter(venv)).toBe(process.platform === 'win32'
+      ? path.join(venv, 'Scripts', 'python.exe')
+      : path.join(venv, 'bin', 'python'));
+  });
+
+  it('leaves files and command names alone', () => {
+    const file = path.join(root, 'python3.11');
+    fs.writeFileSync(file, '');
+    expect(resolveInterpreter(file)).toBe(file);
+    expect(resolveInterpreter('python3')).toBe('python3');
+  });
+});
+
+describe.skipIf(!posix)('discoverPython cache', () => {
+  it('probes the backend\'s venv first, then reuses the cached result', async () => {
+    fs.writeFileSync(path.join(backendPath, 'requirements.txt'), 'Flask==2.3.3\n');
+    const { interpreter, runCount } = fakeVenv();
+
+    const first = await discoverPython({ backendPath, cacheFile });
+    expect(first).toMatchObject({ executable: interpreter, version: '3.11.4', source: 'discovered' });
+    expect(JSON.parse(fs.readFileSync(cacheFile, 'utf8'))).toMatchObject({ executable: interpreter, version: '3.11.4' });
+
+    const second = await discoverPython({ backendPath, cacheFile });
+    expect(second).toMatchObject({ executable: interpreter, source: 'cache', attempts: [] });
+    expect(runCount()).toBe(1);
+  });
+
+  it('probes again when requirements.txt changes', async () => {
+    fs.writeFileSync(path.join(backendPath, 'requirements.txt'), 'Flask==2.3.3\n');
+    const { runCount } = fakeVenv();
+    await discoverPython({ backendPath, cacheFile });
+
+    fs.writeFileSync(path.join(backendPath, 'requirements.txt'), 'Flask==2.3.3\npytz==2023.3\n');
+    expect((await discoverPython({ backendPath, cacheFile })).source).toBe('discovered');
+    expect(runCount()).toBe(2);
+  });
+
+  it('probes again when the interpreter changes on disk', async () => {
+    const { interpreter, runCount } = fakeVenv();
+    await discoverPython({ backendPath, cacheFile });
+
+    const later = new Date(Date.now() + 60000);
+    fs.utimesSync(interpreter, later, later);
+    expect((await discoverPython({ backendPath, cacheFile })).source).toBe('discovered');
+    expect(runCount()).toBe(2);
+  });
+
+  it('probes again after clearCache, and ignores a cache from another version', async () => {
+    const { runCount } = fakeVenv();
+    await discoverPython({ backendPath, cacheFile });
+
+    clearCache(cacheFile);
+    expect(fs.existsSync(cacheFile)).toBe(false);
+    expect((await discoverPython({ backendPath, cacheFile })).source).toBe('discovered');
+
+    const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    fs.writeFileSync(cacheFile, JSON.stringify({ ...cache, cacheVersion: 0 }));
+    expect((await discoverPython({ backendPath, cacheFile })).source).toBe('discovered');
+    expect(runCount()).toBe(3);
+  });
+
+  it('tries an override first and reports why it failed', async () => {
+    const { interpreter } = fakeVenv();
+    const result = await discoverPython({ backendPath, cacheFile, override: path.join(root, 'missing-venv', 'python') });
+    expect(result).toMatchObject({ executable: interpreter, source: 'discovered' });
+    expect(result.overrideError).toBeTruthy();
+
+    const chosen = await discoverPython({ backendPath, cacheFile, override: path.join(backendPath, '.venv') });
+    expect(chosen).toMatchObject({ executable: interpreter, source: 'override' });
+  });
+});
@@ -0,0 +1,129 @@
+// Builds the bundled world outline for the casting form's map picker
+// (src/data/coastline.txt) from GeoJSON or TopoJSON land polygons:
+//
+//   npm run build:coastline
+//   node scripts/build-coastline.js [<land.json> ...]
+//
+// With no arguments it reads Natural Earth's 1:110m land (public domain) as
+// packaged in the world-atlas devDependency. Other files, such as
+// ne_110m_lakes.geojson so the larger lakes show as water, can be listed
+// after it.
+//
+// Every polygon ring, outer or hole, becomes one line of space-separated
+// "x,y" points. x and y are longitude + 180 and latitude + 90 in tenths of a
+// degree, base 36. The map fills all rings as one even-odd path, so holes and
+// lakes come out as water without being told apart.
+const fs = require('fs');
+const path = require('path');
+const topojson = require('topojson-client');
+
+const OUTPUT = path.join(__dirname, '..', 'src', 'data', 'coastline.txt');
+const DEFAULT_SOURCE = require.resolve('world-atlas/land-110m.json');
+
+const polygonsOf = (geometry) => {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  if (geometry.type === 'GeometryCollection') return geometry.geometries.flatMap(polygonsOf);
+  return [];
+};
+
+// The map is flat, so a ring that crosses the antimeridian is cut there into
+// pieces closed along the map's edge. A ring that crosses once goes round a
+// pole (Antarctica) and is closed along the top or bottom edge instead.
+const splitAtAntimeridian = (ring) => {
+  const points = ring.slice(0, -1);
+  const crosses = (a, b) => Math.abs(b[0] - a[0]) > 180;
+  const crossings = points
+    .map((point, index) => index)
+    .filter(index => crosses(points[index], points[(index + 1) % points.length]));
+  if (crossings.length === 0) return [ring];
+
+  // Where the segment leaving points[index] meets the edge on its own side
+  const edgePoint = (index) => {
+    const [longitude, latitude] = points[index];
+    const [nextLongitude, nextLatitude] = points[(index + 1) % points.length];
+    const edge = longitude < 0 ? -180 : 180;
+    const unwrapped = nextLongitude + (edge > 0 ? 360 : -360);
+    const t = unwrapped === longitude ? 0 : (edge - longitude) / (unwrapped - longitude);
+    return { edge, latitude: latitude + t * (nextLatitude - latitude) };
+  };
+
+  // Walk the ring once from just after the first crossing, one piece per side
+  const pieces = [];
+  let piece = [];
+  for (let step = 1; step <= points.length; step += 1) {
+    const index = (crossings[0] + step) % points.length;
+    if (piece.length === 0) {
+      const { edge, latitude } = edgePoint((index - 1 + points.length) % points.length);
+      piece.push([-edge, latitude]);
+    }
+    piece.push(points[index]);
+    if (crossings.includes(index)) {
+      const { edge, latitude } = edgePoint(index);
+      piece.push([edge, latitude]);
+      pieces.push(piece);
+      piece = [];
+    }
+  }
+
+  if (crossings.length % 2 === 1) {
+    const [cap] = pieces;
+    const pole = cap.reduce((sum, [, latitude]) => sum + latitude, 0) < 0 ? -90 : 90;
+    const first = cap[0];
+    const last = cap[cap.length - 1];
+    cap.push([last[0], pole], [first[0], pole]);
+  }
+  return pieces.map(open => [...open, open[0]]);
+};
+
+const encodeRing = (ring) => {
+  const points = [];
+  ring.forEach(([longitude, latitude]) => {
+    const x = Math.round((Math.max(-180, Math.min(180, longitude)) + 180) * 10);
+    const y = Math.round((Math.max(-90, Math.min(90, latitude)) + 90) * 10);
+    const last = points[points.length - 1];
+    if (!last || last[0] !== x || last[1] !== y) points.push([x, y]);
+  });
+  // GeoJSON rings repeat their first point at the end; the path closes itself
+  const [first] = points;
+  const last = points[points.length - 1];
+  if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) points.pop();
+  return points.length >= 3
+    ? points.map(([x, y]) => `${x.toString(36)},${y.toString(36)}`).join(' ')
+    : null;
+};
+
+function buildCoastline(files) {
+  const rings = [];
+  files.forEach((file) => {
+    const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    // TopoJSON keeps shared arcs; turn each of its objects back into GeoJSON
+    const collections = json.type === 'Topology'
+      ? Object.values(json.objects).map(object => topojson.feature(json, object))
+      : [json];
+    const features = collections.flatMap(geojson => (
+      geojson.type === 'FeatureCollection' ? geojson.features : [geojson]
+    ));
+    features
+      .flatMap(feature => polygonsOf(feature.geometry || feature))
+      .flat()
+      .flatMap(splitAtAntimeridian)
+      .forEach((ring) => {
+        const line = encodeRing(ring);
+        if (line) rings.push(line);
+      });
+  });
+  return { text: `${rings.join('\n')}\n`, count: rings.length };
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const files = args.length > 0 ? args : [DEFAULT_SOURCE];
+  const { text, count } = buildCoastline(files);
+  fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+  fs.writeFileSync(OUTPUT, text);
+  console.log(`Wrote ${count} rings (${Math.round(text.length / 1024)} KB) to ${OUTPUT}`);
+}
+
+module.exports = { buildCoastline };
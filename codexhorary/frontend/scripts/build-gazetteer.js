@@ -0,0 +1,98 @@
+// Builds the bundled offline gazetteer (src/data/gazetteer.gz.b64) from a
+// GeoNames dump:
+//
+//   npm run build:gazetteer -- <dump-dir>
+//
+// <dump-dir> must hold cities15000.txt, admin1CodesASCII.txt and
+// countryInfo.txt from https://download.geonames.org/export/dump/ (CC BY 4.0).
+// GeoNames must be credited wherever the data is shown; after a rebuild,
+// update the dump date recorded in NOTICE.
+//
+// The gazetteer is plain text, gzipped and then base64-encoded so Vite can
+// bundle it into the search worker as a string (the packaged app can't fetch
+// files from disk); gazetteer.js inflates it. The text is:
+//   T<tab>zone<tab>zone...          time zones, referenced by index
+//   C<tab>GB=United Kingdom<tab>... countries, referenced by index
+//   A<tab>ENG=England<tab>...       first-level divisions, referenced by index
+// then one city per line, most populous first:
+//   name<tab>ascii name<tab>country<tab>division<tab>lat<tab>lon<tab>zone<tab>population
+// Indexes, coordinates and population are base 36; coordinates are stored as
+// hundredths of a degree offset by +90 / +180. The ascii name is left empty
+// when it equals the name, and the division when the city has none.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const OUTPUT = path.join(__dirname, '..', 'src', 'data', 'gazetteer.gz.b64');
+
+const readLines = (file) => fs.readFileSync(file, 'utf8')
+  .split('\n')
+  .filter(line => line && !line.startsWith('#'));
+
+function buildGazetteer(dumpDir) {
+  const countryNames = new Map(readLines(path.join(dumpDir, 'countryInfo.txt'))
+    .map(line => line.split('\t'))
+    .map(cols => [cols[0], cols[4]]));
+
+  const admin1Names = new Map(readLines(path.join(dumpDir, 'admin1CodesASCII.txt'))
+    .map(line => line.split('\t'))
+    .map(cols => [cols[0], cols[1]]));
+
+  const cities = readLines(path.join(dumpDir, 'cities15000.txt'))
+    .map(line => line.split('\t'))
+    .map(cols => ({
+      name: cols[1],
+      ascii: cols[2],
+      latitude: parseFloat(cols[4]),
+      longitude: parseFloat(cols[5]),
+      country: cols[8],
+      admin1: cols[10] && cols[10] !== '00' ? `${cols[8]}.${cols[10]}` : '',
+      population: parseInt(cols[14], 10) || 0,
+      timezone: cols[17]
+    }))
+    .filter(city => city.timezone && countryNames.has(city.country))
+    .sort((a, b) => b.population - a.population);
+
+  // Index tables in order of first use
+  const tables = { T: [], C: [], A: [] };
+  const indexes = { T: new Map(), C: new Map(), A: new Map() };
+  const indexOf = (table, key, entry) => {
+    if (!indexes[table].has(key)) {
+      indexes[table].set(key, tables[table].length);
+      tables[table].push(entry);
+    }
+    return indexes[table].get(key).toString(36);
+  };
+
+  const rows = cities.map((city) => {
+    const admin1Name = admin1Names.get(city.admin1);
+    return [
+      city.name,
+      city.ascii === city.name ? '' : city.ascii,
+      indexOf('C', city.country, `${city.country}=${countryNames.get(city.country)}`),
+      admin1Name ? indexOf('A', city.admin1, `${city.admin1.split('.')[1]}=${admin1Name}`) : '',
+      Math.round((city.latitude + 90) * 100).toString(36),
+      Math.round((city.longitude + 180) * 100).toString(36),
+      indexOf('T', city.timezone, city.timezone),
+      city.population.toString(36)
+    ].join('\t');
+  });
+
+  const header = ['T', 'C', 'A'].map(table => [table, ...tables[table]].join('\t'));
+  return { text: `${[...header, ...rows].join('\n')}\n`, count: rows.length };
+}
+
+if (require.main === module) {
+  const dumpDir = process.argv[2];
+  if (!dumpDir) {
+    console.error('Usage: node scripts/build-gazetteer.js <geonames-dump-dir>');
+    process.exit(1);
+  }
+  const { text, count } = buildGazetteer(dumpDir);
+  const encoded = zlib.gzipSync(text, { level: 9 }).toString('base64');
+  fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+  fs.writeFileSync(OUTPUT, `${encoded}\n`);
+  console.log(`Wrote ${count} places (${Math.round(encoded.length / 1024)} KB) to ${OUTPUT}`);
+}
+
+module.exports = { buildGazetteer };
@@ -0,0 +1,55 @@
+// Builds the font embedded in exported chart wheels (src/data/wheelFont.txt)
+// so the SVG and PNG files look the same on every machine:
+//
+//   node scripts/build-wheel-font.js
+//
+// DejaVu Sans and DejaVu Sans Bold (from the dejavu-fonts-ttf package; free
+// licence, see its LICENSE) are cut down to the characters the wheel draws
+// and stored as WOFF2. The output is plain text so Vite can bundle it:
+//   C<tab>characters in the subset
+//   400<tab>base64 WOFF2 of the regular face
+//   700<tab>base64 WOFF2 of the bold face
+const fs = require('fs');
+const path = require('path');
+const subsetFont = require('subset-font');
+
+const OUTPUT = path.join(__dirname, '..', 'src', 'data', 'wheelFont.txt');
+const FONT_DIR = path.dirname(require.resolve('dejavu-fonts-ttf/package.json'));
+
+// Sign and planet glyphs, then what labels use: degrees and minutes, house
+// numbers, ASC/DSC/MC/IC, the retrograde R, and capitals for planets without
+// a glyph
+const CHARACTERS = [
+  '♈♉♊♋♌♍♎♏♐♑♒♓',
+  '☉☽☿♀♂♃♄',
+  "0123456789°'",
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZ'
+].join('');
+
+const FACES = [
+  { weight: 400, file: 'DejaVuSans.ttf' },
+  { weight: 700, file: 'DejaVuSans-Bold.ttf' }
+];
+
+async function buildWheelFont() {
+  const lines = [`C\t${CHARACTERS}`];
+  for (const { weight, file } of FACES) {
+    const font = fs.readFileSync(path.join(FONT_DIR, 'ttf', file));
+    const subset = await subsetFont(font, CHARACTERS, { targetFormat: 'woff2' });
+    lines.push(`${weight}\t${subset.toString('base64')}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+if (require.main === module) {
+  buildWheelFont().then((text) => {
+    fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+    fs.writeFileSync(OUTPUT, text);
+    console.log(`Wrote ${FACES.length} faces (${Math.round(text.length / 1024)} KB) to ${OUTPUT}`);
+  }).catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildWheelFont, CHARACTERS };
@@ -0,0 +1,256 @@
+// IndexedDB archive for charts, notes and settings. Replaces the single JSON
+// strings in localStorage (which were capped at 100 charts); there is no
+// limit on the number of charts kept.
+
+const DB_NAME = 'voxstella';
+const DB_VERSION = 1;
+
+export const STORES = {
+  charts: 'charts',
+  notes: 'notes',
+  settings: 'settings'
+};
+
+// localStorage keys used before the archive existed
+const LEGACY_KEYS = {
+  charts: 'voxstella_charts',
+  notes: 'vox_stella_notes',
+  settings: 'vox_stella_settings'
+};
+
+let dbPromise = null;
+
+// Wrap an IDBRequest in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Resolves when the transaction commits, so callers know the data is on disk
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+export const openArchive = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORES.charts)) {
+          const charts = db.createObjectStore(STORES.charts, { keyPath: 'id' });
+          charts.createIndex('timestamp', 'timestamp');
+          charts.createIndex('tag', 'tags', { multiEntry: true });
+          charts.createIndex('judgment', 'judgment');
+        }
+        if (!db.objectStoreNames.contains(STORES.notes)) {
+          db.createObjectStore(STORES.notes, { keyPath: 'chartId' });
+        }
+        if (!db.objectStoreNames.contains(STORES.settings)) {
+          db.createObjectStore(STORES.settings, { keyPath: 'key' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn('Archive upgrade blocked by another open window');
+    });
+    // Allow a later retry if opening failed
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+export const deleteArchive = async () => {
+  if (dbPromise) {
+    const db = await dbPromise.catch(() => null);
+    if (db) db.close();
+    dbPromise = null;
+  }
+  return promisify(indexedDB.deleteDatabase(DB_NAME));
+};
+
+const newestFirst = (a, b) => b.timestamp - a.timestamp;
+
+// Charts, newest first
+export const getAllCharts = async () => {
+  const db = await openArchive();
+  const charts = await promisify(db.transaction(STORES.charts).objectStore(STORES.charts).getAll());
+  return charts.sort(newestFirst);
+};
+
+// Charts cast between two Dates, newest first
+export const getChartsBetween = async (from, to) => {
+  const db = await openArchive();
+  const index = db.transaction(STORES.charts).objectStore(STORES.charts).index('timestamp');
+  const charts = await promisify(index.getAll(IDBKeyRange.bound(from, to)));
+  return charts.sort(newestFirst);
+};
+
+// Charts carrying a tag, newest first
+export const getChartsByTag = async (tag) => {
+  const db = await openArchive();
+  const index = db.transaction(STORES.charts).objectStore(STORES.charts).index('tag');
+  const charts = await promisify(index.getAll(tag));
+  return charts.sort(newestFirst);
+};
+
+// Charts with a judgment ('YES', 'NO', 'UNCLEAR', ...), newest first
+export const getChartsByJudgment = async (judgment) => {
+  const db = await openArchive();
+  const index = db.transaction(STORES.charts).objectStore(STORES.charts).index('judgment');
+  const charts = await promisify(index.getAll(judgment));
+  return charts.sort(newestFirst);
+};
+
+export const putChart = async (chart) => {
+  const db = await openArchive();
+  const transaction = db.transaction(STORES.charts, 'readwrite');
+  transaction.objectStore(STORES.charts).put(chart);
+  await transactionDone(transaction);
+  return chart;
+};
+
+// Store a new chart, never over an existing one. Ids are Date.now() values,
+// so two charts saved in the same millisecond (an import loop, say) would
+// share one; the later chart takes the next free id instead. Returns the
+// chart as stored.
+export const addChart = async (chart) => {
+  const db = await openArchive();
+  const transaction = db.transaction(STORES.charts, 'readwrite');
+  const store = transaction.objectStore(STORES.charts);
+  let id = chart.id ?? Date.now();
+  while (await promisify(store.count(id)) > 0) id += 1;
+  const stored = { ...chart, id };
+  store.add(stored);
+  await transactionDone(transaction);
+  return stored;
+};
+
+// Several charts in one transaction, so a bulk edit either lands or doesn't
+export const putCharts = async (charts) => {
+  const db = await openArchive();
+  const transaction = db.transaction(STORES.charts, 'readwrite');
+  const store = transaction.objectStore(STORES.charts);
+  charts.forEach(chart => store.put(chart));
+  await transactionDone(transaction);
+  return charts;
+};
+
+// Move charts to the Trash: they keep their records (and notes) with
+// deletedAt set until restored or purged with deleteCharts. Returns the
+// charts as stored.
+export const trashCharts = (charts, deletedAt = new Date()) =>
+  putCharts(charts.map(chart => ({ ...chart, deletedAt })));
+
+export const restoreCharts = charts =>
+  putCharts(charts.map(({ deletedAt, ...chart }) => chart));
+
+// Permanently remove charts together with their notes
+export const deleteCharts = async (ids) => {
+  const db = await openArchive();
+  const transaction = db.transaction([STORES.charts, STORES.notes], 'readwrite');
+  const chartStore = transaction.objectStore(STORES.charts);
+  const noteStore = transaction.objectStore(STORES.notes);
+  ids.forEach((id) => {
+    chartStore.delete(id);
+    noteStore.delete(String(id));
+  });
+  await transactionDone(transaction);
+};
+
+// Notes as { [chartId]: text }
+export const getAllNotes = async () => {
+  const db = await openArchive();
+  const records = await promisify(db.transaction(STORES.notes).objectStore(STORES.notes).getAll());
+  return Object.fromEntries(records.map(record => [record.chartId, record.text]));
+};
+
+export const putNote = async (chartId, text) => {
+  const db = await openArchive();
+  const transaction = db.transaction(STORES.notes, 'readwrite');
+  transaction.objectStore(STORES.notes).put({ chartId: String(chartId), text, updatedAt: new Date() });
+  await transactionDone(transaction);
+};
+
+// Settings as { [key]: value }
+export const getAllSettings = async () => {
+  const db = await openArchive();
+  const records = await promisify(db.transaction(STORES.settings).objectStore(STORES.settings).getAll());
+  return Object.fromEntries(records.map(record => [record.key, record.value]));
+};
+
+export const putSetting = async (key, value) => {
+  const db = await openArchive();
+  const transaction = db.transaction(STORES.settings, 'readwrite');
+  transaction.objectStore(STORES.settings).put({ key, value });
+  await transactionDone(transaction);
+};
+
+const readLegacy = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key) || 'null') ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+// One-time move of the old localStorage data into the archive. The old keys
+// are only removed once the archive transaction has committed, so a failed
+// migration is simply retried on the next start.
+export const migrateFromLocalStorage = async () => {
+  const legacyCharts = readLegacy(LEGACY_KEYS.charts, []);
+  const legacyNotes = readLegacy(LEGACY_KEYS.notes, {});
+  const legacySettings = readLegacy(LEGACY_KEYS.settings, {});
+  const hasLegacyData = Object.values(LEGACY_KEYS).some(key => localStorage.getItem(key) !== null);
+  if (!hasLegacyData) return false;
+
+  const db = await openArchive();
+  const transaction = db.transaction([STORES.charts, STORES.notes, STORES.settings], 'readwrite');
+  const chartStore = transaction.objectStore(STORES.charts);
+  const usedIds = new Set();
+  // Legacy id -> the ids its charts were stored under, so notes follow them
+  const movedIds = new Map();
+
+  for (const chart of Array.isArray(legacyCharts) ? legacyCharts : []) {
+    // Ids were Date.now() values, so two charts could share one, or clash
+    // with a chart already in the archive; as in addChart, the later chart
+    // takes the next free id
+    const legacyId = chart.id ?? Date.now();
+    let id = legacyId;
+    while (usedIds.has(id) || await promisify(chartStore.count(id)) > 0) id += 1;
+    usedIds.add(id);
+    movedIds.set(String(legacyId), [...(movedIds.get(String(legacyId)) || []), id]);
+    // Invalid Dates cannot be indexed, so fall back to the id (a Date.now() value)
+    let timestamp = new Date(chart.timestamp);
+    if (Number.isNaN(timestamp.getTime())) timestamp = new Date(typeof id === 'number' ? id : Date.now());
+    chartStore.put({ ...chart, id, timestamp });
+  }
+
+  // The old notes were keyed by id, so charts that shared one showed the
+  // same note; each keeps it under its new id
+  const noteStore = transaction.objectStore(STORES.notes);
+  Object.entries(legacyNotes).forEach(([chartId, text]) => {
+    (movedIds.get(String(chartId)) || [chartId]).forEach((id) => {
+      noteStore.put({ chartId: String(id), text, updatedAt: new Date() });
+    });
+  });
+
+  const settingsStore = transaction.objectStore(STORES.settings);
+  Object.entries(legacySettings).forEach(([key, value]) => {
+    settingsStore.put({ key, value });
+  });
+
+  await transactionDone(transaction);
+  Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+  console.log(`Migrated ${usedIds.size} charts from localStorage to the archive`);
+  return true;
+};
@@ -0,0 +1,139 @@
+import 'fake-indexeddb/auto';
+import { beforeEach, describe, expect, it } from 'vitest';
+import {
+  addChart,
+  deleteArchive,
+  deleteCharts,
+  getAllCharts,
+  getAllNotes,
+  migrateFromLocalStorage,
+  putChart,
+  putNote,
+  restoreCharts,
+  trashCharts
+} from './archiveDb.js';
+
+const chart = (id, extra = {}) => ({ id, question: `Chart ${id}`, timestamp: new Date(id), tags: [], ...extra });
+
+// Just enough of localStorage for the migration
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+};
+
+beforeEach(async () => {
+  await deleteArchive();
+  globalThis.localStorage = memoryStorage();
+});
+
+describe('addChart', () => {
+  it('gives charts saved in the same millisecond their own ids', async () => {
+    const saved = await Promise.all([addChart(chart(1000)), addChart(chart(1000)), addChart(chart(1000))]);
+    expect(saved.map(c => c.id).sort()).toEqual([1000, 1001, 1002]);
+    expect(await getAllCharts()).toHaveLength(3);
+  });
+
+  it('never overwrites a chart put earlier', async () => {
+    await putChart(chart(2000, { question: 'First' }));
+    const second = await addChart(chart(2000, { question: 'Second' }));
+    expect(second.id).toBe(2001);
+    const questions = (await getAllCharts()).map(c => c.question).sort();
+    expect(questions).toEqual(['First', 'Second']);
+  });
+});
+
+describe('deleteCharts', () => {
+  it('removes the charts together with their notes', async () => {
+    await putChart(chart(3000));
+    await putChart(chart(4000));
+    await putNote(3000, 'Lost ring found in the car');
+    await deleteCharts([3000]);
+    expect((await getAllCharts()).map(c => c.id)).toEqual([4000]);
+    expect(await getAllNotes()).toEqual({});
+  });
+});
+
+describe('Trash', () => {
+  const byId = async () => Object.fromEntries((await getAllCharts()).map(c => [c.id, c]));
+
+  it('keeps trashed charts and their notes until they are restored', async () => {
+    await putChart(chart(1000));
+    await putNote(1000, 'Asked twice');
+    const deletedAt = new Date(Date.UTC(2024, 4, 1));
+    const [trashed] = await trashCharts([chart(1000)], deletedAt);
+    expect(trashed.deletedAt).toEqual(deletedAt);
+    expect((await byId())[1000].deletedAt).toEqual(deletedAt);
+    expect(await getAllNotes()).toEqual({ 1000: 'Asked twice' });
+
+    const [restored] = await restoreCharts([trashed]);
+    expect(restored).not.toHaveProperty('deletedAt');
+    expect((await byId())[1000]).toEqual(chart(1000));
+    expect(await getAllNotes()).toEqual({ 1000: 'Asked twice' });
+  });
+
+  it('purges trashed charts with their notes and leaves the rest of the Trash', async () => {
+    await Promise.all([chart(2000), chart(3000), chart(4000)].map(putChart));
+    await putNote(2000, 'gone');
+    await putNote(3000, 'kept');
+    await trashCharts([chart(2000), chart(3000)]);
+
+    await deleteCharts([2000]);
+    const charts = await byId();
+    expect(Object.keys(charts)).toEqual(['3000', '4000']);
+    expect(charts[3000].deletedAt).toBeInstanceOf(Date);
+    expect(charts[4000]).not.toHaveProperty('deletedAt');
+    expect(await getAllNotes()).toEqual({ 3000: 'kept' });
+  });
+
+  it('undoes a bulk delete without touching charts trashed separately', async () => {
+    await Promise.all([chart(5000), chart(6000), chart(7000), chart(8000)].map(putChart));
+    await trashCharts([chart(8000)]);
+    const bulk = await trashCharts([chart(5000), chart(6000), chart(7000)]);
+    expect((await getAllCharts()).every(c => c.deletedAt)).toBe(true);
+
+    // Undo restores exactly the records the bulk delete returned
+    await restoreCharts(bulk);
+    const charts = await byId();
+    [5000, 6000, 7000].forEach(id => expect(charts[id]).toEqual(chart(id)));
+    expect(charts[8000].deletedAt).toBeInstanceOf(Date);
+  });
+});
+
+describe('migrateFromLocalStorage', () => {
+  it('moves legacy charts in, keeping duplicate ids apart', async () => {
+    localStorage.setItem('voxstella_charts', JSON.stringify([chart(5000), chart(5000), { question: 'No date', id: 6000, timestamp: 'garbage' }]));
+    localStorage.setItem('vox_stella_notes', JSON.stringify({ 5000: 'note' }));
+    expect(await migrateFromLocalStorage()).toBe(true);
+    const charts = await getAllCharts();
+    expect(charts.map(c => c.id).sort()).toEqual([5000, 5001, 6000]);
+    expect(charts.find(c => c.id === 6000).timestamp.getTime()).toBe(6000);
+    expect(await getAllNotes()).toEqual({ 5000: 'note', 5001: 'note' });
+    expect(localStorage.getItem('voxstella_charts')).toBeNull();
+  });
+
+  it('moves notes with charts whose ids clash with the archive', async () => {
+    await putChart(chart(7000, { question: 'Already archived' }));
+    await putNote(7000, 'archived note');
+    localStorage.setItem('voxstella_charts', JSON.stringify([chart(7000, { question: 'Legacy' }), chart(8000)]));
+    localStorage.setItem('vox_stella_notes', JSON.stringify({ 7000: 'legacy note', 8000: 'other note', 9000: 'orphan' }));
+    expect(await migrateFromLocalStorage()).toBe(true);
+
+    const charts = await getAllCharts();
+    expect(charts.find(c => c.id === 7000).question).toBe('Already archived');
+    expect(charts.find(c => c.id === 7001).question).toBe('Legacy');
+    expect(await getAllNotes()).toEqual({
+      7000: 'archived note',
+      7001: 'legacy note',
+      8000: 'other note',
+      9000: 'orphan'
+    });
+  });
+
+  it('does nothing without legacy data', async () => {
+    expect(await migrateFromLocalStorage()).toBe(false);
+  });
+});
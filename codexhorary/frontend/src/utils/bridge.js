@@ -0,0 +1,18 @@
+// Access to the Electron preload bridge (window.voxStella, see preload.js).
+// Returns null in a plain browser or when the main process speaks an
+// incompatible bridge version, so callers can fall back to web behaviour.
+
+export const BRIDGE_VERSION = 1;
+
+export const getDesktopBridge = () => {
+  const bridge = typeof window !== 'undefined' ? window.voxStella : undefined;
+  if (!bridge) return null;
+
+  if (bridge.version !== BRIDGE_VERSION) {
+    console.warn(`Desktop bridge version ${bridge.version} does not match expected ${BRIDGE_VERSION}`);
+    return null;
+  }
+  return bridge;
+};
+
+export const isDesktopApp = () => getDesktopBridge() !== null;
@@ -0,0 +1,33 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { BRIDGE_VERSION, getDesktopBridge, isDesktopApp } from './bridge.js';
+
+describe('getDesktopBridge', () => {
+  afterEach(() => {
+    delete globalThis.window;
+    vi.restoreAllMocks();
+  });
+
+  it('is null outside a browser window', () => {
+    expect(getDesktopBridge()).toBeNull();
+    expect(isDesktopApp()).toBe(false);
+  });
+
+  it('is null in a plain browser without the preload bridge', () => {
+    globalThis.window = {};
+    expect(getDesktopBridge()).toBeNull();
+  });
+
+  it('returns the bridge when its version matches', () => {
+    const bridge = { version: BRIDGE_VERSION, platform: 'win32' };
+    globalThis.window = { voxStella: bridge };
+    expect(getDesktopBridge()).toBe(bridge);
+    expect(isDesktopApp()).toBe(true);
+  });
+
+  it('refuses a bridge of another version', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    globalThis.window = { voxStella: { version: BRIDGE_VERSION + 1 } };
+    expect(getDesktopBridge()).toBeNull();
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,156 @@
+// Differences between two saved charts, for the comparison view. Chart A is
+// the earlier one; every delta reads "from A to B".
+import { SIGNS, PLANET_NAMES, getSign, angleDifference, normalizeDegrees } from './ephemeris.js';
+
+// Signed shortest motion from one longitude to another, -180..180
+const longitudeShift = (from, to) => {
+  const shift = normalizeDegrees(to - from);
+  return shift > 180 ? shift - 360 : shift;
+};
+
+const planetState = (planet) => planet && {
+  longitude: planet.longitude,
+  sign: planet.sign || getSign(planet.longitude || 0),
+  house: planet.house ?? null,
+  retrograde: Boolean(planet.retrograde),
+  dignity: planet.dignity_score ?? null
+};
+
+// -> [{ name, a, b, shift, signChanged, houseChanged, retrogradeChanged, dignityDelta }]
+export const comparePlanets = (chartA, chartB) => {
+  const planetsA = chartA.chart_data?.planets || {};
+  const planetsB = chartB.chart_data?.planets || {};
+  const names = [...PLANET_NAMES, ...Object.keys({ ...planetsA, ...planetsB }).filter(name => !PLANET_NAMES.includes(name))];
+
+  return names
+    .filter(name => planetsA[name] || planetsB[name])
+    .map((name) => {
+      const a = planetState(planetsA[name]);
+      const b = planetState(planetsB[name]);
+      const both = Boolean(a && b);
+      return {
+        name,
+        a,
+        b,
+        shift: both ? longitudeShift(a.longitude, b.longitude) : null,
+        signChanged: both && a.sign !== b.sign,
+        houseChanged: both && a.house !== null && b.house !== null && a.house !== b.house,
+        retrogradeChanged: both && a.retrograde !== b.retrograde,
+        dignityDelta: both && a.dignity !== null && b.dignity !== null ? b.dignity - a.dignity : null
+      };
+    });
+};
+
+// The same aspect between the same pair, whichever way round it was listed
+const aspectKey = (aspect) => `${[aspect.planet1, aspect.planet2].sort().join('-')} ${aspect.aspect}`;
+
+// -> [{ key, planet1, planet2, aspect, a, b, status: 'same' | 'changed' | 'added' | 'removed' }]
+// 'changed' means the aspect is in both charts but went from applying to
+// separating or the other way.
+export const compareAspects = (chartA, chartB) => {
+  const aspectsA = new Map((chartA.chart_data?.aspects || []).map(aspect => [aspectKey(aspect), aspect]));
+  const aspectsB = new Map((chartB.chart_data?.aspects || []).map(aspect => [aspectKey(aspect), aspect]));
+  const keys = [...new Set([...aspectsA.keys(), ...aspectsB.keys()])];
+
+  return keys.map((key) => {
+    const a = aspectsA.get(key) || null;
+    const b = aspectsB.get(key) || null;
+    const { planet1, planet2, aspect } = a || b;
+    let status = 'same';
+    if (!a) status = 'added';
+    else if (!b) status = 'removed';
+    else if (Boolean(a.applying) !== Boolean(b.applying)) status = 'changed';
+    return { key, planet1, planet2, aspect, a, b, status };
+  });
+};
+
+// Reasoning lines may be plain strings or { stage, rule, weight } objects
+const reasoningLines = (chart) => (chart.reasoning || [])
+  .map(line => (typeof line === 'string' ? line : line?.rule))
+  .filter(Boolean)
+  .map(line => line.trim());
+
+// -> { common, onlyA, onlyB } lists of reasoning lines, each in chart order
+export const compareReasoning = (chartA, chartB) => {
+  const linesA = reasoningLines(chartA);
+  const linesB = reasoningLines(chartB);
+  const setA = new Set(linesA);
+  const setB = new Set(linesB);
+  return {
+    common: linesA.filter(line => setB.has(line)),
+    onlyA: linesA.filter(line => !setB.has(line)),
+    onlyB: linesB.filter(line => !setA.has(line))
+  };
+};
+
+// Older charts only have the cusps, and the 1st cusp is the Ascendant
+const chartAscendant = (chart) => chart.chart_data?.ascendant ?? chart.chart_data?.houses?.[0] ?? null;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Plain-language sentences on what changed between the charts
+export const summarizeComparison = (chartA, chartB, planets, aspects, reasoning) => {
+  const lines = [];
+
+  const minutes = Math.round((new Date(chartB.timestamp) - new Date(chartA.timestamp)) / 60000);
+  if (minutes < 60) lines.push(`Cast ${plural(minutes, 'minute')} apart.`);
+  else if (minutes < 48 * 60) lines.push(`Cast ${plural(Math.round(minutes / 60), 'hour')} apart.`);
+  else lines.push(`Cast ${plural(Math.round(minutes / (24 * 60)), 'day')} apart.`);
+
+  if (chartA.judgment !== chartB.judgment) {
+    lines.push(`Judgment changed from ${chartA.judgment} to ${chartB.judgment}.`);
+  } else {
+    lines.push(`Both charts judge ${chartA.judgment}.`);
+  }
+  if (typeof chartA.confidence === 'number' && typeof chartB.confidence === 'number' && chartA.confidence !== chartB.confidence) {
+    const delta = chartB.confidence - chartA.confidence;
+    lines.push(`Confidence ${delta > 0 ? 'rose' : 'fell'} by ${Math.abs(delta)} points (${chartA.confidence}% to ${chartB.confidence}%).`);
+  }
+
+  const ascA = chartAscendant(chartA);
+  const ascB = chartAscendant(chartB);
+  if (ascA != null && ascB != null) {
+    const signA = SIGNS[Math.floor(normalizeDegrees(ascA) / 30)];
+    const signB = SIGNS[Math.floor(normalizeDegrees(ascB) / 30)];
+    lines.push(signA === signB
+      ? `Ascendant stayed in ${signA} (moved ${angleDifference(ascA, ascB).toFixed(1)}°).`
+      : `Ascendant moved from ${signA} to ${signB}.`);
+  }
+
+  planets.filter(planet => planet.signChanged).forEach((planet) => {
+    lines.push(`${planet.name} changed sign from ${planet.a.sign} to ${planet.b.sign}.`);
+  });
+  const houseChanges = planets.filter(planet => planet.houseChanged);
+  if (houseChanges.length > 0) {
+    lines.push(`${houseChanges.map(planet => `${planet.name} (${planet.a.house} to ${planet.b.house})`).join(', ')} changed house.`);
+  }
+  planets.filter(planet => planet.retrogradeChanged).forEach((planet) => {
+    lines.push(`${planet.name} ${planet.b.retrograde ? 'turned retrograde' : 'turned direct'}.`);
+  });
+
+  const added = aspects.filter(aspect => aspect.status === 'added').length;
+  const removed = aspects.filter(aspect => aspect.status === 'removed').length;
+  const changed = aspects.filter(aspect => aspect.status === 'changed').length;
+  if (added || removed || changed) {
+    const parts = [];
+    if (added) parts.push(`${added} new`);
+    if (removed) parts.push(`${removed} gone`);
+    if (changed) parts.push(`${changed} switched between applying and separating`);
+    lines.push(`Aspects: ${parts.join(', ')}.`);
+  } else {
+    lines.push('The same aspects are in both charts.');
+  }
+
+  if (reasoning.onlyA.length || reasoning.onlyB.length) {
+    lines.push(`Reasoning: ${plural(reasoning.onlyB.length, 'new line')}, ${plural(reasoning.onlyA.length, 'line')} no longer given.`);
+  }
+
+  return lines;
+};
+
+export const compareCharts = (chartA, chartB) => {
+  const planets = comparePlanets(chartA, chartB);
+  const aspects = compareAspects(chartA, chartB);
+  const reasoning = compareReasoning(chartA, chartB);
+  return { planets, aspects, reasoning, summary: summarizeComparison(chartA, chartB, planets, aspects, reasoning) };
+};
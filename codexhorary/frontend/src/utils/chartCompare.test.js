@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import { compareAspects, compareCharts, comparePlanets, compareReasoning, summarizeComparison } from './chartCompare.js';
+
+const chart = (overrides = {}, chartData = {}) => ({
+  timestamp: '2024-05-01T10:00:00Z',
+  judgment: 'YES',
+  confidence: 70,
+  reasoning: [],
+  ...overrides,
+  chart_data: { planets: {}, aspects: [], ...chartData }
+});
+
+describe('comparePlanets', () => {
+  it('measures the shortest motion across 0° Aries', () => {
+    const [sun] = comparePlanets(
+      chart({}, { planets: { Sun: { longitude: 359, sign: 'Pisces', house: 12, dignity_score: 0 } } }),
+      chart({}, { planets: { Sun: { longitude: 1, sign: 'Aries', house: 1, dignity_score: 4 } } })
+    );
+    expect(sun.shift).toBeCloseTo(2);
+    expect(sun).toMatchObject({ signChanged: true, houseChanged: true, retrogradeChanged: false, dignityDelta: 4 });
+  });
+
+  it('keeps planets found in only one chart', () => {
+    const [uranus] = comparePlanets(chart(), chart({}, { planets: { Uranus: { longitude: 50 } } }));
+    expect(uranus).toMatchObject({ name: 'Uranus', a: undefined, shift: null, signChanged: false });
+    expect(uranus.b.sign).toBe('Taurus');
+  });
+});
+
+describe('compareAspects', () => {
+  it('matches aspects listed either way round', () => {
+    const rows = compareAspects(
+      chart({}, { aspects: [
+        { planet1: 'Moon', planet2: 'Venus', aspect: 'Trine', applying: true },
+        { planet1: 'Sun', planet2: 'Mars', aspect: 'Square', applying: true }
+      ] }),
+      chart({}, { aspects: [
+        { planet1: 'Venus', planet2: 'Moon', aspect: 'Trine', applying: false },
+        { planet1: 'Sun', planet2: 'Saturn', aspect: 'Sextile', applying: true }
+      ] })
+    );
+    expect(rows.map(row => [row.key, row.status])).toEqual([
+      ['Moon-Venus Trine', 'changed'],
+      ['Mars-Sun Square', 'removed'],
+      ['Saturn-Sun Sextile', 'added']
+    ]);
+  });
+});
+
+describe('compareReasoning', () => {
+  it('splits plain and structured lines into common and one-sided', () => {
+    const result = compareReasoning(
+      chart({ reasoning: ['Shared line', { stage: 'Aspects', rule: 'Only in A ', weight: 1 }] }),
+      chart({ reasoning: [{ stage: 'General', rule: 'Shared line', weight: 0 }, 'Only in B'] })
+    );
+    expect(result).toEqual({ common: ['Shared line'], onlyA: ['Only in A'], onlyB: ['Only in B'] });
+  });
+});
+
+describe('summarizeComparison', () => {
+  const summarize = (chartA, chartB) => compareCharts(chartA, chartB).summary;
+
+  it('reports the time apart, verdict and confidence', () => {
+    const summary = summarize(
+      chart({ judgment: 'NO', confidence: 60 }),
+      chart({ timestamp: '2024-05-01T13:00:00Z', confidence: 75 })
+    );
+    expect(summary.slice(0, 3)).toEqual([
+      'Cast 3 hours apart.',
+      'Judgment changed from NO to YES.',
+      'Confidence rose by 15 points (60% to 75%).'
+    ]);
+  });
+
+  it('falls back to the 1st cusp for the Ascendant', () => {
+    const houses = (first) => [first, ...Array.from({ length: 11 }, (_, index) => (first + (index + 1) * 30) % 360)];
+    const summary = summarize(chart({}, { houses: houses(100) }), chart({}, { ascendant: 125, houses: houses(125) }));
+    expect(summary).toContain('Ascendant moved from Cancer to Leo.');
+  });
+
+  it('leaves the Ascendant out when neither chart has one', () => {
+    const summary = summarizeComparison(chart(), chart(), [], [], { onlyA: [], onlyB: [] });
+    expect(summary.some(line => line.startsWith('Ascendant'))).toBe(false);
+    expect(summary).toContain('The same aspects are in both charts.');
+  });
+});
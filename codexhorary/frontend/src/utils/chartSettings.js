@@ -0,0 +1,179 @@
+// Calculation settings edited on the Settings page. Settings with a
+// configPath are sent to /api/calculate-chart as overrides of that key in
+// backend/horary_constants.yaml, so their defaults must match that file: a
+// chart only counts as cast with custom settings when a value differs.
+
+export const CHART_SETTING_GROUPS = [
+  {
+    key: 'chart',
+    title: 'Chart',
+    settings: [
+      {
+        key: 'houses.system',
+        configPath: 'houses.system',
+        label: 'House System',
+        description: 'House system used for the cusps',
+        type: 'select',
+        options: ['Regiomontanus', 'Placidus', 'Whole Sign', 'Equal'],
+        default: 'Regiomontanus'
+      },
+      {
+        // Sent as exaltationConfidenceBoost; the casting form starts from it
+        key: 'exaltationConfidenceBoost',
+        label: 'Reception Weighting',
+        description: 'Confidence boost for perfection with mutual exaltation',
+        type: 'slider',
+        min: 0,
+        max: 30,
+        step: 1,
+        unit: '%',
+        default: 15
+      }
+    ]
+  },
+  {
+    key: 'orbs',
+    title: 'Aspect Orbs',
+    description: 'Traditional aspect orbs (degrees)',
+    settings: [
+      { key: 'orbs.conjunction', configPath: 'orbs.conjunction', label: 'Conjunction', type: 'slider', min: 1, max: 15, step: 0.5, unit: '°', default: 8.0 },
+      { key: 'orbs.sextile', configPath: 'orbs.sextile', label: 'Sextile', type: 'slider', min: 1, max: 12, step: 0.5, unit: '°', default: 6.0 },
+      { key: 'orbs.square', configPath: 'orbs.square', label: 'Square', type: 'slider', min: 1, max: 15, step: 0.5, unit: '°', default: 8.0 },
+      { key: 'orbs.trine', configPath: 'orbs.trine', label: 'Trine', type: 'slider', min: 1, max: 15, step: 0.5, unit: '°', default: 8.0 },
+      { key: 'orbs.opposition', configPath: 'orbs.opposition', label: 'Opposition', type: 'slider', min: 1, max: 15, step: 0.5, unit: '°', default: 8.0 }
+    ]
+  },
+  {
+    key: 'confidence',
+    title: 'Confidence Levels',
+    description: 'Base confidence for different perfection types',
+    settings: [
+      { key: 'confidence.perfection.direct_with_mutual_rulership', configPath: 'confidence.perfection.direct_with_mutual_rulership', label: 'Direct (Mutual Rulership)', type: 'slider', min: 50, max: 100, step: 1, unit: '%', default: 95 },
+      { key: 'confidence.perfection.direct_with_mutual_exaltation', configPath: 'confidence.perfection.direct_with_mutual_exaltation', label: 'Direct (Mutual Exaltation)', type: 'slider', min: 50, max: 100, step: 1, unit: '%', default: 85 },
+      { key: 'confidence.perfection.translation_of_light', configPath: 'confidence.perfection.translation_of_light', label: 'Translation of Light', type: 'slider', min: 50, max: 95, step: 1, unit: '%', default: 75 },
+      { key: 'confidence.perfection.collection_of_light', configPath: 'confidence.perfection.collection_of_light', label: 'Collection of Light', type: 'slider', min: 50, max: 95, step: 1, unit: '%', default: 70 },
+      { key: 'confidence.perfection.reception_only', configPath: 'confidence.perfection.reception_only', label: 'Reception Only', type: 'slider', min: 30, max: 90, step: 1, unit: '%', default: 65 }
+    ]
+  },
+  {
+    key: 'solar',
+    title: 'Solar Conditions',
+    description: 'Cazimi and combustion parameters',
+    settings: [
+      { key: 'orbs.cazimi_orb_arcmin', configPath: 'orbs.cazimi_orb_arcmin', label: 'Cazimi Orb (arcminutes)', type: 'slider', min: 10, max: 30, step: 1, unit: "'", default: 17 },
+      { key: 'orbs.combustion_orb', configPath: 'orbs.combustion_orb', label: 'Combustion Orb (degrees)', type: 'slider', min: 6, max: 12, step: 0.5, unit: '°', default: 8.5 },
+      { key: 'orbs.under_beams_orb', configPath: 'orbs.under_beams_orb', label: 'Under Beams Orb (degrees)', type: 'slider', min: 10, max: 20, step: 0.5, unit: '°', default: 15.0 },
+      { key: 'confidence.solar.cazimi_bonus', configPath: 'confidence.solar.cazimi_bonus', label: 'Cazimi Bonus', type: 'slider', min: 5, max: 25, step: 1, unit: '%', default: 15 },
+      { key: 'confidence.solar.combustion_penalty', configPath: 'confidence.solar.combustion_penalty', label: 'Combustion Penalty', type: 'slider', min: 5, max: 20, step: 1, unit: '%', default: 10 }
+    ]
+  },
+  {
+    key: 'moon',
+    title: 'Moon Settings',
+    description: 'Void-of-course and lunar testimony',
+    settings: [
+      { key: 'moon.void_penalty', configPath: 'moon.void_penalty', label: 'Void Penalty', type: 'slider', min: 0, max: 30, step: 1, unit: '%', default: 10 },
+      { key: 'moon.void_rule', configPath: 'moon.void_rule', label: 'Void Rule', type: 'select', options: ['by_sign', 'by_orb', 'lilly'], default: 'by_sign' },
+      { key: 'moon.void_exceptions.cancer', configPath: 'moon.void_exceptions.cancer', label: 'Moon in Cancer Exception', type: 'toggle', default: true },
+      { key: 'moon.void_exceptions.sagittarius', configPath: 'moon.void_exceptions.sagittarius', label: 'Moon in Sagittarius Exception', type: 'toggle', default: true }
+    ]
+  },
+  {
+    key: 'radicality',
+    title: 'Radicality Checks',
+    description: 'Chart validity parameters',
+    settings: [
+      { key: 'radicality.asc_too_early', configPath: 'radicality.asc_too_early', label: 'Early Ascendant (degrees)', type: 'slider', min: 1, max: 10, step: 0.5, unit: '°', default: 3.0 },
+      { key: 'radicality.asc_too_late', configPath: 'radicality.asc_too_late', label: 'Late Ascendant (degrees)', type: 'slider', min: 20, max: 30, step: 0.5, unit: '°', default: 27.0 },
+      { key: 'radicality.saturn_7th_enabled', configPath: 'radicality.saturn_7th_enabled', label: 'Check Saturn in 7th', type: 'toggle', default: true },
+      { key: 'radicality.via_combusta_enabled', configPath: 'radicality.via_combusta_enabled', label: 'Check Via Combusta', type: 'toggle', default: true },
+      { key: 'radicality.hour_agreement_enabled', configPath: 'radicality.hour_agreement_enabled', label: 'Check Planetary Hour', type: 'toggle', default: false },
+      { key: 'radicality.hour_agreement_mode', configPath: 'radicality.hour_agreement_mode', label: 'Hour Agreement', type: 'select', options: ['ruler', 'sign', 'triplicity'], default: 'ruler' },
+      { key: 'radicality.asc_warning_penalty', configPath: 'radicality.asc_warning_penalty', label: 'Radicality Warning Penalty', type: 'slider', min: 0, max: 30, step: 1, unit: '%', default: 15 }
+    ]
+  },
+  {
+    key: 'dignity',
+    title: 'Dignity Weights',
+    description: 'Traditional dignity scoring',
+    settings: [
+      { key: 'dignity.rulership', configPath: 'dignity.rulership', label: 'Rulership', type: 'slider', min: 1, max: 10, step: 1, unit: '', default: 5 },
+      { key: 'dignity.exaltation', configPath: 'dignity.exaltation', label: 'Exaltation', type: 'slider', min: 1, max: 8, step: 1, unit: '', default: 4 },
+      { key: 'dignity.triplicity', configPath: 'dignity.triplicity', label: 'Triplicity', type: 'slider', min: 1, max: 6, step: 1, unit: '', default: 3 },
+      { key: 'dignity.detriment', configPath: 'dignity.detriment', label: 'Detriment', type: 'slider', min: -10, max: -1, step: 1, unit: '', default: -5 },
+      { key: 'dignity.fall', configPath: 'dignity.fall', label: 'Fall', type: 'slider', min: -8, max: -1, step: 1, unit: '', default: -4 },
+      { key: 'dignity.joy', configPath: 'dignity.joy', label: 'Joy', type: 'slider', min: 1, max: 5, step: 1, unit: '', default: 2 }
+    ]
+  }
+];
+
+export const CHART_SETTINGS = CHART_SETTING_GROUPS.flatMap(group => group.settings);
+
+const SETTINGS_BY_KEY = Object.fromEntries(CHART_SETTINGS.map(setting => [setting.key, setting]));
+
+export const getChartSetting = (key) => SETTINGS_BY_KEY[key] || null;
+
+export const getDefaultChartSettings = () =>
+  Object.fromEntries(CHART_SETTINGS.map(setting => [setting.key, setting.default]));
+
+// -> null when valid, otherwise a message for the user
+export const validateChartSetting = (key, value) => {
+  const setting = SETTINGS_BY_KEY[key];
+  if (!setting) return `Unknown setting "${key}"`;
+
+  switch (setting.type) {
+    case 'toggle':
+      return typeof value === 'boolean' ? null : `${setting.label} must be on or off`;
+    case 'select':
+      return setting.options.includes(value) ? null : `${setting.label} must be one of ${setting.options.join(', ')}`;
+    default: {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `${setting.label} must be a number`;
+      }
+      if (value < setting.min || value > setting.max) {
+        return `${setting.label} must be between ${setting.min} and ${setting.max}`;
+      }
+      // Values must land on the slider's steps (allowing for float error)
+      const steps = (value - setting.min) / setting.step;
+      if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+        return `${setting.label} must be a multiple of ${setting.step}`;
+      }
+      return null;
+    }
+  }
+};
+
+// Defaults overlaid with the valid saved values. Unknown keys and invalid
+// values are dropped and reported in `errors`.
+export const normalizeChartSettings = (saved) => {
+  const settings = getDefaultChartSettings();
+  const errors = [];
+  if (saved && typeof saved === 'object') {
+    Object.entries(saved).forEach(([key, value]) => {
+      const error = validateChartSetting(key, value);
+      if (error) {
+        errors.push(error);
+      } else {
+        settings[key] = value;
+      }
+    });
+  }
+  return { settings, errors };
+};
+
+// Body of the `settings` field in /api/calculate-chart: { configPath: value }
+export const toRequestSettings = (settings) => Object.fromEntries(
+  CHART_SETTINGS
+    .filter(setting => setting.configPath)
+    .map(setting => [setting.configPath, settings[setting.key] ?? setting.default])
+);
+
+// Settings that differ from the defaults -> [{ key, label, value, default }]
+export const getChangedChartSettings = (settings) => CHART_SETTINGS
+  .filter(setting => settings[setting.key] !== undefined && settings[setting.key] !== setting.default)
+  .map(setting => ({ key: setting.key, label: setting.label, value: settings[setting.key], default: setting.default }));
+
+export const formatChartSettingValue = (setting, value) => {
+  if (setting.type === 'toggle') return value ? 'On' : 'Off';
+  return `${value}${setting.unit || ''}`;
+};
@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { describe, expect, it } from 'vitest';
+import {
+  CHART_SETTINGS,
+  formatChartSettingValue,
+  getChangedChartSettings,
+  getChartSetting,
+  getDefaultChartSettings,
+  normalizeChartSettings,
+  toRequestSettings,
+  validateChartSetting
+} from './chartSettings.js';
+
+const backendConfig = yaml.load(fs.readFileSync(path.resolve(__dirname, '../../../backend/horary_constants.yaml'), 'utf8'));
+const configValue = configPath => configPath.split('.').reduce((node, key) => node?.[key], backendConfig);
+
+describe('defaults', () => {
+  it('match backend/horary_constants.yaml', () => {
+    CHART_SETTINGS.filter(setting => setting.configPath).forEach((setting) => {
+      expect({ [setting.configPath]: configValue(setting.configPath) }).toEqual({ [setting.configPath]: setting.default });
+    });
+  });
+
+  it('are valid values of their own settings', () => {
+    Object.entries(getDefaultChartSettings()).forEach(([key, value]) => {
+      expect(validateChartSetting(key, value)).toBeNull();
+    });
+  });
+});
+
+describe('validateChartSetting', () => {
+  it('checks type, range and step', () => {
+    expect(validateChartSetting('orbs.square', 7.5)).toBeNull();
+    expect(validateChartSetting('orbs.square', 7.3)).toMatch(/multiple of 0.5/);
+    expect(validateChartSetting('orbs.square', 20)).toMatch(/between 1 and 15/);
+    expect(validateChartSetting('orbs.square', '8')).toMatch(/must be a number/);
+    expect(validateChartSetting('moon.void_rule', 'lilly')).toBeNull();
+    expect(validateChartSetting('moon.void_rule', 'never')).toMatch(/one of/);
+    expect(validateChartSetting('radicality.saturn_7th_enabled', 'yes')).toMatch(/on or off/);
+    expect(validateChartSetting('no.such.key', 1)).toMatch(/Unknown setting/);
+  });
+});
+
+describe('normalizeChartSettings', () => {
+  it('keeps valid saved values and reports the rest', () => {
+    const { settings, errors } = normalizeChartSettings({ 'orbs.trine': 9, 'orbs.sextile': 99, stale: true });
+    expect(settings['orbs.trine']).toBe(9);
+    expect(settings['orbs.sextile']).toBe(6);
+    expect(errors).toHaveLength(2);
+  });
+
+  it('falls back to the defaults for missing or garbled data', () => {
+    expect(normalizeChartSettings(null)).toEqual({ settings: getDefaultChartSettings(), errors: [] });
+  });
+});
+
+describe('toRequestSettings', () => {
+  it('sends backend settings by config path and leaves out client-only ones', () => {
+    const request = toRequestSettings({ ...getDefaultChartSettings(), 'houses.system': 'Placidus' });
+    expect(request['houses.system']).toBe('Placidus');
+    expect(request['orbs.conjunction']).toBe(8);
+    expect(request).not.toHaveProperty('exaltationConfidenceBoost');
+  });
+});
+
+describe('getChangedChartSettings', () => {
+  it('lists only values that differ from the defaults', () => {
+    const changed = getChangedChartSettings({ ...getDefaultChartSettings(), 'dignity.joy': 3 });
+    expect(changed).toEqual([{ key: 'dignity.joy', label: 'Joy', value: 3, default: 2 }]);
+  });
+});
+
+describe('formatChartSettingValue', () => {
+  it('formats toggles and units', () => {
+    expect(formatChartSettingValue(getChartSetting('radicality.via_combusta_enabled'), false)).toBe('Off');
+    expect(formatChartSettingValue(getChartSetting('orbs.combustion_orb'), 8.5)).toBe('8.5°');
+  });
+});
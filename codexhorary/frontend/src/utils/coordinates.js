@@ -0,0 +1,91 @@
+// Latitude and longitude typed by hand on the casting form. Accepts decimal
+// degrees ("51.5074", "-0.1278") and degrees-minutes(-seconds) with or
+// without symbols ("51°30'N", "51 30.4 N", "0°7'39\"W", "W 0 7 39").
+// A hemisphere letter and a minus sign may not both be given.
+
+const LIMITS = { latitude: 90, longitude: 180 };
+const HEMISPHERES = {
+  latitude: { positive: 'N', negative: 'S' },
+  longitude: { positive: 'E', negative: 'W' }
+};
+
+// Signed decimal degrees for `axis` ('latitude' | 'longitude'), or null if
+// the text isn't a coordinate on that axis
+export const parseCoordinate = (text, axis) => {
+  if (typeof text !== 'string') return null;
+  const value = text.trim().toUpperCase();
+  if (!value) return null;
+
+  const letters = value.match(/[A-Z]/g) || [];
+  if (letters.length > 1) return null;
+  const { positive, negative } = HEMISPHERES[axis];
+  const letter = letters[0];
+  if (letter && letter !== positive && letter !== negative) return null;
+
+  // Anything other than numbers, the letter, signs, spaces and degree,
+  // minute and second marks is not a coordinate
+  const body = value.replace(/[NSEW]/, ' ');
+  if (/[^0-9.\s°º'′’"″-]/.test(body)) return null;
+  const minusSigns = (body.match(/-/g) || []).length;
+  const minus = minusSigns === 1 && body.trim().startsWith('-');
+  if (minusSigns > (minus ? 1 : 0) || (minus && letter)) return null;
+
+  const parts = body.match(/\d+(?:\.\d+)?|\.\d+/g) || [];
+  if (parts.length < 1 || parts.length > 3) return null;
+  const [degrees, minutes = 0, seconds = 0] = parts.map(Number);
+  // Only the last part may have a fraction, and minutes and seconds stop at 60
+  if (parts.slice(0, -1).some(part => part.includes('.'))) return null;
+  if (minutes >= 60 || seconds >= 60) return null;
+
+  const magnitude = degrees + minutes / 60 + seconds / 3600;
+  if (magnitude > LIMITS[axis]) return null;
+  return (minus || letter === negative) ? -magnitude : magnitude;
+};
+
+// Both coordinates from one pasted string ("51.5074, -0.1278",
+// "51°30'N 0°7'W"), or null. Latitude comes first.
+export const parseCoordinatePair = (text) => {
+  if (typeof text !== 'string') return null;
+  const value = text.trim();
+
+  const candidates = [];
+  const separated = value.split(/[,;/]/);
+  if (separated.length === 2) candidates.push(separated);
+  // Split after the latitude's hemisphere letter
+  const hemisphere = value.match(/^([^NSns]*[NSns])\s*(.+)$/);
+  if (hemisphere) candidates.push([hemisphere[1], hemisphere[2]]);
+  // Two plain decimals separated by spaces
+  const plain = value.match(/^(-?\d+(?:\.\d+)?)\s+(-?\d+(?:\.\d+)?)$/);
+  if (plain) candidates.push([plain[1], plain[2]]);
+
+  for (const [latitudeText, longitudeText] of candidates) {
+    const latitude = parseCoordinate(latitudeText, 'latitude');
+    const longitude = parseCoordinate(longitudeText, 'longitude');
+    if (latitude !== null && longitude !== null) return { latitude, longitude };
+  }
+  return null;
+};
+
+// 51.5074, 'latitude' -> "51°30.4'N"
+export const formatCoordinate = (value, axis) => {
+  const { positive, negative } = HEMISPHERES[axis];
+  let degrees = Math.floor(Math.abs(value));
+  let minutes = Math.round((Math.abs(value) - degrees) * 600) / 10;
+  if (minutes >= 60) {
+    degrees += 1;
+    minutes = 0;
+  }
+  return `${degrees}°${minutes.toFixed(1)}'${value < 0 ? negative : positive}`;
+};
+
+export const formatCoordinates = ({ latitude, longitude }) =>
+  `${formatCoordinate(latitude, 'latitude')} ${formatCoordinate(longitude, 'longitude')}`;
+
+// Time zone for a point with no town nearby (at sea): the nautical zone,
+// one hour per 15° of longitude. Etc/GMT names count the other way round,
+// so 75°W is Etc/GMT+5.
+export const nauticalTimezone = (longitude) => {
+  const hours = Math.round(longitude / 15);
+  if (hours === 0) return 'Etc/GMT';
+  return `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
+};
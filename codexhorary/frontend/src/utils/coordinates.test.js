@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+import {
+  formatCoordinate,
+  formatCoordinates,
+  nauticalTimezone,
+  parseCoordinate,
+  parseCoordinatePair
+} from './coordinates.js';
+
+describe('parseCoordinate', () => {
+  it('reads signed decimal degrees', () => {
+    expect(parseCoordinate('51.5074', 'latitude')).toBe(51.5074);
+    expect(parseCoordinate('-0.1278', 'longitude')).toBe(-0.1278);
+    expect(parseCoordinate('.5', 'longitude')).toBe(0.5);
+  });
+
+  it('reads degrees, minutes and seconds with or without symbols', () => {
+    expect(parseCoordinate("51°30'N", 'latitude')).toBe(51.5);
+    expect(parseCoordinate('51 30.6 N', 'latitude')).toBeCloseTo(51.51, 10);
+    expect(parseCoordinate('0°7\'39"W', 'longitude')).toBeCloseTo(-(7 / 60 + 39 / 3600), 10);
+    expect(parseCoordinate('W 0 7 39', 'longitude')).toBeCloseTo(-(7 / 60 + 39 / 3600), 10);
+    expect(parseCoordinate('33 52 s', 'latitude')).toBeCloseTo(-(33 + 52 / 60), 10);
+  });
+
+  it('rejects letters from the other axis and doubled hemispheres', () => {
+    expect(parseCoordinate('51N', 'longitude')).toBeNull();
+    expect(parseCoordinate('10E', 'latitude')).toBeNull();
+    expect(parseCoordinate('-51N', 'latitude')).toBeNull();
+    expect(parseCoordinate('51NS', 'latitude')).toBeNull();
+  });
+
+  it('rejects values out of range and malformed parts', () => {
+    expect(parseCoordinate('90.1', 'latitude')).toBeNull();
+    expect(parseCoordinate('180.5', 'longitude')).toBeNull();
+    expect(parseCoordinate('51 60', 'latitude')).toBeNull();
+    expect(parseCoordinate('51.5 30', 'latitude')).toBeNull();
+    expect(parseCoordinate('1 2 3 4', 'latitude')).toBeNull();
+    expect(parseCoordinate('5-1', 'latitude')).toBeNull();
+    expect(parseCoordinate('London', 'latitude')).toBeNull();
+    expect(parseCoordinate('', 'latitude')).toBeNull();
+    expect(parseCoordinate(51, 'latitude')).toBeNull();
+  });
+});
+
+describe('parseCoordinatePair', () => {
+  it('splits at a comma, after the latitude hemisphere or between plain decimals', () => {
+    expect(parseCoordinatePair('51.5074, -0.1278')).toEqual({ latitude: 51.5074, longitude: -0.1278 });
+    expect(parseCoordinatePair("51°30'N 0°6'W")).toEqual({ latitude: 51.5, longitude: -0.1 });
+    expect(parseCoordinatePair('-33.87 151.21')).toEqual({ latitude: -33.87, longitude: 151.21 });
+  });
+
+  it('gives null unless both halves are coordinates', () => {
+    expect(parseCoordinatePair('51.5074')).toBeNull();
+    expect(parseCoordinatePair('151.21, -33.87')).toBeNull();
+    expect(parseCoordinatePair('London, UK')).toBeNull();
+  });
+});
+
+describe('formatCoordinate', () => {
+  it('writes degrees and decimal minutes with the hemisphere', () => {
+    expect(formatCoordinate(51.5074, 'latitude')).toBe("51°30.4'N");
+    expect(formatCoordinate(-0.1278, 'longitude')).toBe("0°7.7'W");
+    expect(formatCoordinates({ latitude: -33.87, longitude: 151.21 })).toBe("33°52.2'S 151°12.6'E");
+  });
+
+  it('carries minutes that round up to 60 into the degrees', () => {
+    expect(formatCoordinate(10.99999, 'latitude')).toBe("11°0.0'N");
+  });
+});
+
+describe('nauticalTimezone', () => {
+  it('gives one hour per 15° of longitude, with the Etc/GMT sign reversed', () => {
+    expect(nauticalTimezone(0)).toBe('Etc/GMT');
+    expect(nauticalTimezone(7.4)).toBe('Etc/GMT');
+    expect(nauticalTimezone(-75)).toBe('Etc/GMT+5');
+    expect(nauticalTimezone(-82)).toBe('Etc/GMT+5');
+    expect(nauticalTimezone(135)).toBe('Etc/GMT-9');
+    expect(nauticalTimezone(179)).toBe('Etc/GMT-12');
+  });
+});
@@ -0,0 +1,387 @@
+// Local ephemeris for offline chart calculation
+//
+// Planetary positions use mean orbital elements with the main periodic
+// perturbations of the Moon, Jupiter and Saturn (after Paul Schlyter,
+// "How to compute planetary positions"). Longitudes are geocentric, tropical,
+// referred to the equinox of date and good to within a couple of arcminutes
+// for dates between roughly 1800 and 2100 - plenty for sign, house and
+// aspect work, but not a replacement for the Swiss Ephemeris in the backend.
+
+export const PLANET_NAMES = ['Sun', 'Moon', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn'];
+
+export const SIGNS = [
+  'Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo',
+  'Libra', 'Scorpio', 'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces'
+];
+
+// Traditional aspects with default orbs (matches the Settings defaults)
+export const ASPECTS = [
+  { name: 'Conjunction', angle: 0, orb: 8 },
+  { name: 'Sextile', angle: 60, orb: 6 },
+  { name: 'Square', angle: 90, orb: 8 },
+  { name: 'Trine', angle: 120, orb: 8 },
+  { name: 'Opposition', angle: 180, orb: 8 }
+];
+
+// Essential dignities: rulership +5, exaltation +4, detriment -5, fall -4
+const RULERSHIPS = {
+  Sun: ['Leo'],
+  Moon: ['Cancer'],
+  Mercury: ['Gemini', 'Virgo'],
+  Venus: ['Taurus', 'Libra'],
+  Mars: ['Aries', 'Scorpio'],
+  Jupiter: ['Sagittarius', 'Pisces'],
+  Saturn: ['Capricorn', 'Aquarius']
+};
+
+const EXALTATIONS = {
+  Sun: 'Aries',
+  Moon: 'Taurus',
+  Mercury: 'Virgo',
+  Venus: 'Pisces',
+  Mars: 'Capricorn',
+  Jupiter: 'Cancer',
+  Saturn: 'Libra'
+};
+
+const DEG = Math.PI / 180;
+
+const sin = (deg) => Math.sin(deg * DEG);
+const cos = (deg) => Math.cos(deg * DEG);
+const atan2 = (y, x) => Math.atan2(y, x) / DEG;
+
+export const normalizeDegrees = (deg) => ((deg % 360) + 360) % 360;
+
+// Signed angular difference b - a in the range (-180, 180]
+export const angleDifference = (a, b) => {
+  const diff = normalizeDegrees(b - a);
+  return diff > 180 ? diff - 360 : diff;
+};
+
+export const getSign = (longitude) => SIGNS[Math.floor(normalizeDegrees(longitude) / 30)];
+
+export const oppositeSign = (sign) => SIGNS[(SIGNS.indexOf(sign) + 6) % 12];
+
+// Traditional (domicile) ruler of a sign
+export const signRuler = (sign) => Object.keys(RULERSHIPS).find(planet => RULERSHIPS[planet].includes(sign)) || null;
+
+export const julianDay = (date) => date.getTime() / 86400000 + 2440587.5;
+
+// Schlyter's day number: days since 2000 Jan 0.0 UT
+const dayNumber = (jd) => jd - 2451543.5;
+
+export const obliquity = (jd) => 23.4393 - 3.563e-7 * dayNumber(jd);
+
+const orbitalElements = (d) => ({
+  Sun: {
+    N: 0, i: 0, w: 282.9404 + 4.70935e-5 * d, a: 1.0,
+    e: 0.016709 - 1.151e-9 * d, M: 356.0470 + 0.9856002585 * d
+  },
+  Moon: {
+    N: 125.1228 - 0.0529538083 * d, i: 5.1454, w: 318.0634 + 0.1643573223 * d, a: 60.2666,
+    e: 0.054900, M: 115.3654 + 13.0649929509 * d
+  },
+  Mercury: {
+    N: 48.3313 + 3.24587e-5 * d, i: 7.0047 + 5.00e-8 * d, w: 29.1241 + 1.01444e-5 * d, a: 0.387098,
+    e: 0.205635 + 5.59e-10 * d, M: 168.6562 + 4.0923344368 * d
+  },
+  Venus: {
+    N: 76.6799 + 2.46590e-5 * d, i: 3.3946 + 2.75e-8 * d, w: 54.8910 + 1.38374e-5 * d, a: 0.723330,
+    e: 0.006773 - 1.302e-9 * d, M: 48.0052 + 1.6021302244 * d
+  },
+  Mars: {
+    N: 49.5574 + 2.11081e-5 * d, i: 1.8497 - 1.78e-8 * d, w: 286.5016 + 2.92961e-5 * d, a: 1.523688,
+    e: 0.093405 + 2.516e-9 * d, M: 18.6021 + 0.5240207766 * d
+  },
+  Jupiter: {
+    N: 100.4542 + 2.76854e-5 * d, i: 1.3030 - 1.557e-7 * d, w: 273.8777 + 1.64505e-5 * d, a: 5.20256,
+    e: 0.048498 + 4.469e-9 * d, M: 19.8950 + 0.0830853001 * d
+  },
+  Saturn: {
+    N: 113.6634 + 2.38980e-5 * d, i: 2.4886 - 1.081e-7 * d, w: 339.3939 + 2.97661e-5 * d, a: 9.55475,
+    e: 0.055546 - 9.499e-9 * d, M: 316.9670 + 0.0334442282 * d
+  }
+});
+
+// Solve Kepler's equation and return the body's position in its orbit plane
+const solveOrbit = ({ a, e, M }) => {
+  const m = normalizeDegrees(M) * DEG;
+  let E = m + e * Math.sin(m) * (1 + e * Math.cos(m));
+  for (let iteration = 0; iteration < 10; iteration++) {
+    const delta = (E - e * Math.sin(E) - m) / (1 - e * Math.cos(E));
+    E -= delta;
+    if (Math.abs(delta) < 1e-9) break;
+  }
+  const xv = a * (Math.cos(E) - e);
+  const yv = a * Math.sqrt(1 - e * e) * Math.sin(E);
+  return { v: Math.atan2(yv, xv) / DEG, r: Math.sqrt(xv * xv + yv * yv) };
+};
+
+// Ecliptic longitude/latitude/distance in the body's reference frame
+const eclipticPosition = (el) => {
+  const { v, r } = solveOrbit(el);
+  const vw = v + el.w;
+  const x = r * (cos(el.N) * cos(vw) - sin(el.N) * sin(vw) * cos(el.i));
+  const y = r * (sin(el.N) * cos(vw) + cos(el.N) * sin(vw) * cos(el.i));
+  const z = r * sin(vw) * sin(el.i);
+  return {
+    lon: normalizeDegrees(atan2(y, x)),
+    lat: atan2(z, Math.sqrt(x * x + y * y)),
+    r
+  };
+};
+
+const moonPerturbations = (moon, sun) => {
+  const Ms = sun.M;
+  const Mm = moon.M;
+  const Ls = sun.M + sun.w;
+  const Lm = moon.M + moon.w + moon.N;
+  const D = Lm - Ls;
+  const F = Lm - moon.N;
+  return (
+    -1.274 * sin(Mm - 2 * D) +
+    0.658 * sin(2 * D) -
+    0.186 * sin(Ms) -
+    0.059 * sin(2 * Mm - 2 * D) -
+    0.057 * sin(Mm - 2 * D + Ms) +
+    0.053 * sin(Mm + 2 * D) +
+    0.046 * sin(2 * D - Ms) +
+    0.041 * sin(Mm - Ms) -
+    0.035 * sin(D) -
+    0.031 * sin(Mm + Ms) -
+    0.015 * sin(2 * F - 2 * D) +
+    0.011 * sin(Mm - 4 * D)
+  );
+};
+
+const jupiterPerturbations = (Mj, Ms) => (
+  -0.332 * sin(2 * Mj - 5 * Ms - 67.6) -
+  0.056 * sin(2 * Mj - 2 * Ms + 21) +
+  0.042 * sin(3 * Mj - 5 * Ms + 21) -
+  0.036 * sin(Mj - 2 * Ms) +
+  0.022 * cos(Mj - Ms) +
+  0.023 * sin(2 * Mj - 3 * Ms + 52) -
+  0.016 * sin(Mj - 5 * Ms - 69)
+);
+
+const saturnPerturbations = (Mj, Ms) => (
+  0.812 * sin(2 * Mj - 5 * Ms - 67.6) -
+  0.229 * cos(2 * Mj - 4 * Ms - 2) +
+  0.119 * sin(Mj - 2 * Ms - 3) +
+  0.046 * sin(2 * Mj - 6 * Ms - 69) +
+  0.014 * sin(Mj - 3 * Ms + 32)
+);
+
+// Geocentric ecliptic longitudes (degrees) of the seven traditional planets
+// at the given Julian Day (UT)
+export const planetLongitudes = (jd) => {
+  const elements = orbitalElements(dayNumber(jd));
+
+  const sun = solveOrbit(elements.Sun);
+  const sunLon = normalizeDegrees(sun.v + elements.Sun.w);
+  const xs = sun.r * cos(sunLon);
+  const ys = sun.r * sin(sunLon);
+
+  const longitudes = { Sun: sunLon };
+
+  const moon = eclipticPosition(elements.Moon);
+  longitudes.Moon = normalizeDegrees(moon.lon + moonPerturbations(elements.Moon, elements.Sun));
+
+  ['Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn'].forEach((name) => {
+    const helio = eclipticPosition(elements[name]);
+    let lon = helio.lon;
+    if (name === 'Jupiter') {
+      lon += jupiterPerturbations(elements.Jupiter.M, elements.Saturn.M);
+    } else if (name === 'Saturn') {
+      lon += saturnPerturbations(elements.Jupiter.M, elements.Saturn.M);
+    }
+
+    const xh = helio.r * cos(lon) * cos(helio.lat);
+    const yh = helio.r * sin(lon) * cos(helio.lat);
+    longitudes[name] = normalizeDegrees(atan2(yh + ys, xh + xs));
+  });
+
+  return longitudes;
+};
+
+// Longitudes plus daily motion, measured over one day centred on the instant
+export const planetPositions = (jd) => {
+  const now = planetLongitudes(jd);
+  const before = planetLongitudes(jd - 0.5);
+  const after = planetLongitudes(jd + 0.5);
+
+  const positions = {};
+  PLANET_NAMES.forEach((name) => {
+    const speed = angleDifference(before[name], after[name]);
+    positions[name] = {
+      longitude: now[name],
+      speed,
+      retrograde: speed < 0
+    };
+  });
+  return positions;
+};
+
+// Greenwich mean sidereal time in degrees (Meeus 12.4)
+export const greenwichSiderealTime = (jd) => {
+  const t = (jd - 2451545.0) / 36525;
+  return normalizeDegrees(
+    280.46061837 +
+    360.98564736629 * (jd - 2451545.0) +
+    0.000387933 * t * t -
+    (t * t * t) / 38710000
+  );
+};
+
+// Ecliptic longitude of the point where a great circle through the north and
+// south points of the horizon, with the given pole height, meets the ecliptic
+// at right ascension ra. Pole 0 gives the MC, the geographic latitude gives
+// the Ascendant and intermediate poles give Regiomontanus cusps.
+const cuspLongitude = (ra, pole, eps) => normalizeDegrees(
+  atan2(sin(ra), cos(ra) * cos(eps) - Math.tan(pole * DEG) * sin(eps))
+);
+
+// Ascendant, MC and the twelve Regiomontanus cusps (index 0 = 1st house)
+export const calculateHouses = (jd, latitude, longitude) => {
+  const eps = obliquity(jd);
+  const ramc = normalizeDegrees(greenwichSiderealTime(jd) + longitude);
+  const tanLat = Math.tan(latitude * DEG);
+
+  // Houses 10-3 are measured in 30 degree steps of right ascension from the
+  // meridian; each has its own pole height. Houses 4-9 are their opposites.
+  const cusp = (step) => {
+    if (step === 0) return cuspLongitude(ramc, 0, eps);
+    if (step === 3) return cuspLongitude(ramc + 90, latitude, eps);
+    const pole = Math.atan(tanLat * Math.abs(sin(step * 30))) / DEG;
+    return cuspLongitude(ramc + step * 30, pole, eps);
+  };
+
+  const houses = new Array(12);
+  houses[9] = cusp(0);   // MC
+  houses[10] = cusp(1);  // 11th
+  houses[11] = cusp(2);  // 12th
+  houses[0] = cusp(3);   // Ascendant
+  houses[1] = cusp(4);   // 2nd
+  houses[2] = cusp(5);   // 3rd
+  for (let i = 3; i < 9; i++) {
+    houses[i] = normalizeDegrees(houses[(i + 6) % 12] + 180);
+  }
+
+  return { ascendant: houses[0], midheaven: houses[9], houses };
+};
+
+// House number (1-12) containing the given ecliptic longitude
+export const houseOf = (longitude, houses) => {
+  for (let i = 0; i < 12; i++) {
+    const start = houses[i];
+    const end = houses[(i + 1) % 12];
+    const span = normalizeDegrees(end - start);
+    if (normalizeDegrees(longitude - start) < span) {
+      return i + 1;
+    }
+  }
+  return 1;
+};
+
+export const essentialDignityScore = (planet, sign) => {
+  let score = 0;
+  if (RULERSHIPS[planet]?.includes(sign)) score += 5;
+  if (EXALTATIONS[planet] === sign) score += 4;
+  if (RULERSHIPS[planet]?.some(ruled => oppositeSign(ruled) === sign)) score -= 5;
+  if (EXALTATIONS[planet] && oppositeSign(EXALTATIONS[planet]) === sign) score -= 4;
+  return score;
+};
+
+// Major aspects between the given positions. An aspect is applying when the
+// orb is shrinking, judged from the positions a couple of hours later.
+export const findAspects = (positions, laterPositions, aspectDefinitions = ASPECTS) => {
+  const aspects = [];
+  const names = Object.keys(positions);
+
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      const planet1 = names[i];
+      const planet2 = names[j];
+      const separation = Math.abs(angleDifference(positions[planet1].longitude, positions[planet2].longitude));
+      const laterSeparation = Math.abs(angleDifference(laterPositions[planet1].longitude, laterPositions[planet2].longitude));
+
+      aspectDefinitions.forEach(({ name, angle, orb }) => {
+        const currentOrb = Math.abs(separation - angle);
+        if (currentOrb <= orb) {
+          aspects.push({
+            planet1,
+            planet2,
+            aspect: name,
+            orb: currentOrb,
+            applying: Math.abs(laterSeparation - angle) < currentOrb
+          });
+        }
+      });
+    }
+  }
+
+  return aspects.sort((a, b) => a.orb - b.orb);
+};
+
+// Aspects from the planets of an outer chart (transits, or another chart) to
+// the fixed planets of an inner one. Only the outer planets move, so an
+// aspect closes at the outer planet's own speed: days_to_exact is that
+// linear estimate, and null once the aspect is separating. A saved chart is
+// a fixed moment that will not move on, so pass timed: false to leave
+// days_to_exact out.
+export const findCrossAspects = (innerPlanets, outerPlanets, { timed = true, aspectDefinitions = ASPECTS } = {}) => {
+  const aspects = [];
+
+  Object.entries(innerPlanets).forEach(([planet1, inner]) => {
+    Object.entries(outerPlanets).forEach(([planet2, outer]) => {
+      const speed = outer.speed || 0;
+      const separation = Math.abs(angleDifference(inner.longitude, outer.longitude));
+      const laterSeparation = Math.abs(angleDifference(inner.longitude, outer.longitude + speed * (2 / 24)));
+
+      aspectDefinitions.forEach(({ name, angle, orb }) => {
+        const currentOrb = Math.abs(separation - angle);
+        if (currentOrb > orb) return;
+        const applying = Math.abs(laterSeparation - angle) < currentOrb;
+        const aspect = { planet1, planet2, aspect: name, orb: currentOrb, applying };
+        if (timed) aspect.days_to_exact = applying && speed !== 0 ? currentOrb / Math.abs(speed) : null;
+        aspects.push(aspect);
+      });
+    });
+  });
+
+  return aspects.sort((a, b) => a.orb - b.orb);
+};
+
+// Build chart_data in the same shape the backend returns. Houses are only
+// calculated when coordinates are known.
+export const calculateChartData = (date, coordinates = null) => {
+  const jd = julianDay(date);
+  const positions = planetPositions(jd);
+  const laterPositions = planetPositions(jd + 2 / 24);
+  const houseData = coordinates
+    ? calculateHouses(jd, coordinates.latitude, coordinates.longitude)
+    : null;
+
+  const planets = {};
+  PLANET_NAMES.forEach((name) => {
+    const { longitude, speed, retrograde } = positions[name];
+    const sign = getSign(longitude);
+    planets[name] = {
+      longitude,
+      sign,
+      house: houseData ? houseOf(longitude, houseData.houses) : null,
+      speed,
+      retrograde,
+      dignity_score: essentialDignityScore(name, sign)
+    };
+  });
+
+  return {
+    planets,
+    aspects: findAspects(positions, laterPositions),
+    ascendant: houseData?.ascendant ?? null,
+    midheaven: houseData?.midheaven ?? null,
+    houses: houseData?.houses ?? [],
+    julian_day: jd
+  };
+};
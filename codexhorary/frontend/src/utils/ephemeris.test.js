@@ -0,0 +1,147 @@
+import { describe, expect, it } from 'vitest';
+import {
+  angleDifference,
+  calculateChartData,
+  calculateHouses,
+  essentialDignityScore,
+  findAspects,
+  findCrossAspects,
+  getSign,
+  greenwichSiderealTime,
+  houseOf,
+  julianDay,
+  obliquity,
+  planetLongitudes
+} from './ephemeris.js';
+
+const DEG = Math.PI / 180;
+
+// Geocentric tropical longitudes for 2000-01-01 0h UT from a published
+// ephemeris, rounded to a tenth of a degree
+const J2000_MIDNIGHT = new Date(Date.UTC(2000, 0, 1));
+const REFERENCE = {
+  Sun: [279.9, 0.1],
+  Moon: [217.3, 0.5],
+  Mercury: [271.1, 1],
+  Venus: [241.0, 1],
+  Mars: [327.6, 1],
+  Jupiter: [25.3, 1],
+  Saturn: [40.4, 1]
+};
+
+describe('julianDay and sidereal time', () => {
+  it('puts J2000.0 at JD 2451545.0', () => {
+    expect(julianDay(new Date(Date.UTC(2000, 0, 1, 12)))).toBe(2451545);
+  });
+
+  it('gives the Meeus sidereal time at J2000.0', () => {
+    expect(greenwichSiderealTime(2451545)).toBeCloseTo(280.46062, 4);
+  });
+});
+
+describe('planetLongitudes', () => {
+  const longitudes = planetLongitudes(julianDay(J2000_MIDNIGHT));
+
+  Object.entries(REFERENCE).forEach(([planet, [expected, tolerance]]) => {
+    it(`places ${planet} within ${tolerance}° of the reference`, () => {
+      expect(Math.abs(angleDifference(expected, longitudes[planet]))).toBeLessThan(tolerance);
+    });
+  });
+});
+
+describe('calculateHouses', () => {
+  const jd = julianDay(new Date(Date.UTC(2024, 5, 21, 9, 30)));
+  const latitude = 51.5;
+  const longitude = -0.13;
+  const { ascendant, midheaven, houses } = calculateHouses(jd, latitude, longitude);
+
+  it('agrees with the textbook Ascendant and MC formulas', () => {
+    const eps = obliquity(jd) * DEG;
+    const ramc = (greenwichSiderealTime(jd) + longitude) * DEG;
+    const asc = Math.atan2(Math.cos(ramc), -(Math.sin(ramc) * Math.cos(eps) + Math.tan(latitude * DEG) * Math.sin(eps))) / DEG;
+    const mc = Math.atan2(Math.sin(ramc), Math.cos(ramc) * Math.cos(eps)) / DEG;
+    expect(Math.abs(angleDifference(asc, ascendant))).toBeLessThan(1e-6);
+    expect(Math.abs(angleDifference(mc, midheaven))).toBeLessThan(1e-6);
+  });
+
+  it('makes opposite cusps exactly 180° apart and runs them in zodiacal order', () => {
+    for (let i = 0; i < 6; i++) {
+      expect(Math.abs(angleDifference(houses[i], houses[i + 6]))).toBeCloseTo(180, 6);
+    }
+    for (let i = 0; i < 12; i++) {
+      const step = angleDifference(houses[i], houses[(i + 1) % 12]);
+      expect(step).toBeGreaterThan(0);
+    }
+  });
+
+  it('finds each cusp in its own house', () => {
+    houses.forEach((cusp, i) => {
+      expect(houseOf(cusp + 0.01, houses)).toBe(i + 1);
+    });
+  });
+});
+
+describe('findAspects', () => {
+  const at = (longitude) => ({ longitude });
+
+  it('finds aspects in orb and marks the closing ones applying', () => {
+    const now = { Sun: at(10), Mars: at(98) };
+    const later = { Sun: at(10), Mars: at(98.5) };
+    expect(findAspects(now, later)).toEqual([
+      { planet1: 'Sun', planet2: 'Mars', aspect: 'Square', orb: 2, applying: true }
+    ]);
+  });
+
+  it('ignores separations outside every orb', () => {
+    const now = { Sun: at(0), Moon: at(45) };
+    expect(findAspects(now, now)).toEqual([]);
+  });
+});
+
+describe('findCrossAspects', () => {
+  const inner = { Sun: { longitude: 10 } };
+
+  it('estimates when an applying aspect perfects from the outer speed', () => {
+    const [aspect] = findCrossAspects(inner, { Mars: { longitude: 98, speed: 0.5 } });
+    expect(aspect).toMatchObject({ planet1: 'Sun', planet2: 'Mars', aspect: 'Square', orb: 2, applying: true });
+    expect(aspect.days_to_exact).toBeCloseTo(4);
+  });
+
+  it('has no estimate once the aspect separates', () => {
+    const [aspect] = findCrossAspects(inner, { Mars: { longitude: 102, speed: 0.5 } });
+    expect(aspect).toMatchObject({ applying: false, days_to_exact: null });
+  });
+
+  it('leaves the estimate out against a fixed chart', () => {
+    const [aspect] = findCrossAspects(inner, { Mars: { longitude: 98, speed: 0.5 } }, { timed: false });
+    expect(aspect).toEqual({ planet1: 'Sun', planet2: 'Mars', aspect: 'Square', orb: 2, applying: true });
+  });
+});
+
+describe('calculateChartData', () => {
+  it('leaves houses out without coordinates', () => {
+    const chart = calculateChartData(J2000_MIDNIGHT);
+    expect(chart.ascendant).toBeNull();
+    expect(chart.houses).toEqual([]);
+    expect(chart.planets.Sun.house).toBeNull();
+    expect(chart.planets.Sun.sign).toBe('Capricorn');
+  });
+
+  it('fills houses and dignities with coordinates', () => {
+    const chart = calculateChartData(J2000_MIDNIGHT, { latitude: 40.71, longitude: -74.01 });
+    expect(chart.houses).toHaveLength(12);
+    expect(getSign(chart.ascendant)).toBe(getSign(chart.houses[0]));
+    expect(chart.planets.Saturn.dignity_score).toBe(essentialDignityScore('Saturn', 'Taurus'));
+    Object.values(chart.planets).forEach(planet => expect(planet.house).toBeGreaterThanOrEqual(1));
+  });
+});
+
+describe('essentialDignityScore', () => {
+  it('scores rulership, exaltation, detriment and fall', () => {
+    expect(essentialDignityScore('Mars', 'Aries')).toBe(5);
+    expect(essentialDignityScore('Sun', 'Aries')).toBe(4);
+    expect(essentialDignityScore('Venus', 'Aries')).toBe(-5);
+    expect(essentialDignityScore('Saturn', 'Aries')).toBe(-4);
+    expect(essentialDignityScore('Mercury', 'Aries')).toBe(0);
+  });
+});
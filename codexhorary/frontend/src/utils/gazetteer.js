@@ -0,0 +1,228 @@
+// Search over the bundled offline gazetteer (src/data/gazetteer.gz.b64, built
+// by scripts/build-gazetteer.js, which documents the format). Runs inside the
+// location search worker; see locationSearch.js for the app-facing API.
+//
+// A query is "city, qualifier, ...": the city part is matched against place
+// names by prefix, then by edit distance to catch typos, and every qualifier
+// must match the place's division or country ("Portland, Maine",
+// "Springfield, IL", "Perth, Australia").
+
+// Lowercase, accents stripped, punctuation collapsed to single spaces
+export const foldName = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Everyday names for countries, by ISO code
+const COUNTRY_ALIASES = {
+  uk: 'GB',
+  'great britain': 'GB',
+  britain: 'GB',
+  england: 'GB',
+  scotland: 'GB',
+  wales: 'GB',
+  usa: 'US',
+  us: 'US',
+  america: 'US',
+  'united states of america': 'US',
+  uae: 'AE',
+  emirates: 'AE',
+  holland: 'NL',
+  'czech republic': 'CZ',
+  'russian federation': 'RU',
+  korea: 'KR',
+  'ivory coast': 'CI',
+  burma: 'MM'
+};
+
+const parseTable = line => line.split('\t').slice(1);
+
+// Base64 of the gzipped gazetteer, as bundled -> its text
+export const inflateGazetteer = async (encoded) => {
+  const bytes = Uint8Array.from(atob(encoded.trim()), character => character.charCodeAt(0));
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).text();
+};
+
+// -> { places, countries } from the gazetteer text
+export const decodeGazetteer = (text) => {
+  const lines = text.split('\n');
+  const timezones = parseTable(lines[0]);
+  const countries = parseTable(lines[1]).map((entry) => {
+    const [code, name] = entry.split('=');
+    return { code, name, key: foldName(name) };
+  });
+  const divisions = parseTable(lines[2]).map((entry) => {
+    const [code, name] = entry.split('=');
+    return { code, name, key: foldName(name), codeKey: /^[a-z]+$/i.test(code) ? code.toLowerCase() : null };
+  });
+
+  const places = [];
+  for (let i = 3; i < lines.length; i++) {
+    if (!lines[i]) continue;
+    const [name, ascii, country, division, lat, lon, zone, population] = lines[i].split('\t');
+    places.push({
+      name,
+      key: foldName(ascii || name),
+      country: countries[parseInt(country, 36)],
+      division: division ? divisions[parseInt(division, 36)] : null,
+      latitude: (parseInt(lat, 36) - 9000) / 100,
+      longitude: (parseInt(lon, 36) - 18000) / 100,
+      timezone: timezones[parseInt(zone, 36)],
+      population: parseInt(population, 36)
+    });
+  }
+
+  return { places, countries };
+};
+
+// Optimal string alignment distance, giving up once it exceeds `limit`
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      best = Math.min(best, value);
+    }
+    if (best > limit) return limit + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+};
+
+const typoLimit = query => (query.length < 4 ? 0 : query.length < 7 ? 1 : 2);
+
+// How well a place name matches the city part of a query, lower is better;
+// null for no match. 0 exact, 1 prefix, 2 prefix of a later word
+// ("york" in "new york"), 3+ typos.
+const nameScore = (key, query) => {
+  if (key === query) return 0;
+  if (key.startsWith(query)) return 1;
+  if (key.includes(` ${query}`)) return 2;
+  const limit = typoLimit(query);
+  // A typo in both of the first two letters is rare; skipping those names
+  // keeps a full-size gazetteer quick to scan
+  if (limit === 0 || (key[0] !== query[0] && key[1] !== query[1])) return null;
+  // Compare against the start of the name, a letter shorter or longer too,
+  // so typos are caught while the name is still being typed
+  let distance = limit + 1;
+  for (let length = query.length - 1; length <= query.length + 1; length++) {
+    distance = Math.min(distance, editDistance(query, key.slice(0, length), limit));
+  }
+  return distance <= limit ? 2 + distance : null;
+};
+
+const matchesQualifier = (place, qualifier) => {
+  const { country, division } = place;
+  if (COUNTRY_ALIASES[qualifier] === country.code) return true;
+  if (qualifier === country.code.toLowerCase() || country.key.startsWith(qualifier)) return true;
+  return Boolean(division && (division.key.startsWith(qualifier) || division.codeKey === qualifier));
+};
+
+// "Portland, Maine, United States"; the division is left out where it just
+// repeats the city (Hong Kong, Tokyo)
+export const placeLabel = (place) => {
+  const parts = [place.name];
+  if (place.division && place.division.name !== place.name) parts.push(place.division.name);
+  parts.push(place.country.name);
+  return parts.join(', ');
+};
+
+const toResult = (place, score) => ({
+  name: place.name,
+  label: placeLabel(place),
+  division: place.division?.name || null,
+  country: place.country.name,
+  countryCode: place.country.code,
+  latitude: place.latitude,
+  longitude: place.longitude,
+  timezone: place.timezone,
+  population: place.population,
+  match: score === 0 ? 'exact' : score <= 2 ? 'prefix' : 'fuzzy'
+});
+
+const splitQuery = query => query.split(',').map(foldName).filter(Boolean);
+
+// Best matches for a (possibly partial) query, most relevant first:
+// -> [{ name, label, division, country, countryCode, latitude, longitude,
+//       timezone, population, match: 'exact' | 'prefix' | 'fuzzy' }]
+export const searchGazetteer = (gazetteer, query, limit = 8) => {
+  const [city, ...qualifiers] = splitQuery(query);
+  if (!city) return [];
+
+  const matches = [];
+  gazetteer.places.forEach((place) => {
+    const score = nameScore(place.key, city);
+    if (score === null || !qualifiers.every(qualifier => matchesQualifier(place, qualifier))) return;
+    matches.push({ place, score });
+  });
+
+  // Places are stored most populous first, and the sort is stable
+  matches.sort((a, b) => a.score - b.score);
+  const seen = new Set();
+  const results = [];
+  for (const { place, score } of matches) {
+    const result = toResult(place, score);
+    if (seen.has(result.label)) continue;
+    seen.add(result.label);
+    results.push(result);
+    if (results.length >= limit) break;
+  }
+  return results;
+};
+
+const EARTH_RADIUS_KM = 6371;
+
+const distanceKm = (a, b) => {
+  const rad = Math.PI / 180;
+  const dLat = (b.latitude - a.latitude) * rad;
+  const dLon = (b.longitude - a.longitude) * rad;
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(a.latitude * rad) * Math.cos(b.latitude * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// The place closest to a point, with distanceKm added, for naming and timing
+// coordinates entered by hand. Null for an empty gazetteer.
+export const nearestPlace = (gazetteer, latitude, longitude) => {
+  const point = { latitude, longitude };
+  let nearest = null;
+  let nearestDistance = Infinity;
+  gazetteer.places.forEach((place) => {
+    const distance = distanceKm(point, place);
+    if (distance < nearestDistance) {
+      nearest = place;
+      nearestDistance = distance;
+    }
+  });
+  return nearest ? { ...toResult(nearest, 0), match: 'nearest', distanceKm: nearestDistance } : null;
+};
+
+// The place a finished location string most likely means, for time zone
+// detection and offline charts, or null. Only exact or prefix name matches
+// count; a bare country name gives its most populous city with
+// match: 'country' (good for a time zone, not for coordinates).
+export const resolvePlace = (gazetteer, query) => {
+  const [best] = searchGazetteer(gazetteer, query, 1);
+  if (best && best.match !== 'fuzzy') return best;
+
+  const parts = splitQuery(query);
+  const countryKey = parts[parts.length - 1];
+  if (!countryKey) return null;
+  const code = COUNTRY_ALIASES[countryKey] ||
+    gazetteer.countries.find(country => country.key === countryKey || country.code.toLowerCase() === countryKey)?.code;
+  const largest = code && gazetteer.places.find(place => place.country.code === code);
+  return largest ? { ...toResult(largest, 0), match: 'country' } : null;
+};
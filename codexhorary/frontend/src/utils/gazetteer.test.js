@@ -0,0 +1,140 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { buildGazetteer } from '../../scripts/build-gazetteer.js';
+import {
+  decodeGazetteer,
+  foldName,
+  inflateGazetteer,
+  nearestPlace,
+  resolvePlace,
+  searchGazetteer
+} from './gazetteer.js';
+
+// A few rows in the GeoNames dump format (19 tab-separated columns), real
+// coordinates and populations from cities15000
+const city = (id, name, ascii, lat, lon, country, admin1, population, timezone) =>
+  [id, name, ascii, '', lat, lon, 'P', 'PPL', country, '', admin1, '', '', '', population, '', '', timezone, '2017-01-01'].join('\t');
+
+const CITIES = [
+  city(2643743, 'London', 'London', 51.50853, -0.12574, 'GB', 'ENG', 7556900, 'Europe/London'),
+  city(5128581, 'New York City', 'New York City', 40.71427, -74.00597, 'US', 'NY', 8175133, 'America/New_York'),
+  city(5746545, 'Portland', 'Portland', 45.52345, -122.67621, 'US', 'OR', 632309, 'America/Los_Angeles'),
+  city(4975802, 'Portland', 'Portland', 43.66147, -70.25533, 'US', 'ME', 66214, 'America/New_York'),
+  city(2063523, 'Perth', 'Perth', -31.95224, 115.8614, 'AU', '08', 1896548, 'Australia/Perth'),
+  city(2988507, 'Paris', 'Paris', 48.85341, 2.3488, 'FR', '11', 2138551, 'Europe/Paris'),
+  city(3117735, 'Madrid', 'Madrid', 40.4165, -3.70256, 'ES', '29', 3255944, 'Europe/Madrid'),
+  city(2950159, 'Berlin', 'Berlin', 52.52437, 13.41053, 'DE', '16', 3426354, 'Europe/Berlin'),
+  city(3117732, 'Málaga', 'Malaga', 36.72016, -4.42034, 'ES', '51', 568305, 'Europe/Madrid'),
+  city(1819729, 'Hong Kong', 'Hong Kong', 22.27832, 114.17469, 'HK', '00', 7012738, 'Asia/Hong_Kong')
+];
+
+const COUNTRIES = [
+  ['GB', 'United Kingdom'], ['US', 'United States'], ['AU', 'Australia'],
+  ['FR', 'France'], ['ES', 'Spain'], ['DE', 'Germany'], ['HK', 'Hong Kong']
+].map(([code, name]) => [code, `${code}X`, '000', 'XX', name].join('\t'));
+
+const ADMIN1 = [
+  ['GB.ENG', 'England'], ['US.NY', 'New York'], ['US.OR', 'Oregon'], ['US.ME', 'Maine'],
+  ['AU.08', 'Western Australia'], ['FR.11', 'Île-de-France'], ['ES.29', 'Madrid'],
+  ['DE.16', 'Berlin'], ['ES.51', 'Andalusia']
+].map(([code, name]) => [code, name, name, ''].join('\t'));
+
+let dumpDir;
+let built;
+let gazetteer;
+
+beforeAll(() => {
+  dumpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'geonames-'));
+  fs.writeFileSync(path.join(dumpDir, 'cities15000.txt'), `${CITIES.join('\n')}\n`);
+  fs.writeFileSync(path.join(dumpDir, 'countryInfo.txt'), `# ISO\tISO3\tISO-Numeric\tfips\tCountry\n${COUNTRIES.join('\n')}\n`);
+  fs.writeFileSync(path.join(dumpDir, 'admin1CodesASCII.txt'), `${ADMIN1.join('\n')}\n`);
+  built = buildGazetteer(dumpDir);
+  gazetteer = decodeGazetteer(built.text);
+});
+
+afterAll(() => {
+  fs.rmSync(dumpDir, { recursive: true, force: true });
+});
+
+describe('buildGazetteer and decodeGazetteer', () => {
+  it('keeps every place, most populous first', () => {
+    expect(built.count).toBe(CITIES.length);
+    expect(gazetteer.places.map(place => place.name).slice(0, 3)).toEqual(['New York City', 'London', 'Hong Kong']);
+  });
+
+  it('round-trips coordinates to a hundredth of a degree', () => {
+    const perth = gazetteer.places.find(place => place.name === 'Perth');
+    expect(perth).toMatchObject({ latitude: -31.95, longitude: 115.86, timezone: 'Australia/Perth', population: 1896548 });
+    expect(perth.division.name).toBe('Western Australia');
+    expect(gazetteer.places.find(place => place.name === 'Hong Kong').division).toBeNull();
+  });
+
+  it('inflates the bundled form', async () => {
+    const encoded = zlib.gzipSync(built.text).toString('base64');
+    expect(await inflateGazetteer(`${encoded}\n`)).toBe(built.text);
+  });
+});
+
+describe('foldName', () => {
+  it('drops accents, case and punctuation', () => {
+    expect(foldName('  Málaga, ÎLE-de-France ')).toBe('malaga ile de france');
+  });
+});
+
+describe('searchGazetteer', () => {
+  it('ranks exact, then prefix, then typo matches', () => {
+    expect(searchGazetteer(gazetteer, 'Paris')[0]).toMatchObject({ label: 'Paris, Île-de-France, France', match: 'exact' });
+    expect(searchGazetteer(gazetteer, 'Mad')[0]).toMatchObject({ name: 'Madrid', match: 'prefix' });
+    expect(searchGazetteer(gazetteer, 'Brelin')[0]).toMatchObject({ name: 'Berlin', match: 'fuzzy' });
+    expect(searchGazetteer(gazetteer, 'york')[0].name).toBe('New York City');
+  });
+
+  it('narrows by division and country', () => {
+    expect(searchGazetteer(gazetteer, 'Portland').map(place => place.division)).toEqual(['Oregon', 'Maine']);
+    expect(searchGazetteer(gazetteer, 'Portland, Maine')).toHaveLength(1);
+    expect(searchGazetteer(gazetteer, 'Portland, ME')[0].timezone).toBe('America/New_York');
+    expect(searchGazetteer(gazetteer, 'Perth, UK')).toEqual([]);
+  });
+
+  it('matches accented names from plain text', () => {
+    expect(searchGazetteer(gazetteer, 'malaga')[0].name).toBe('Málaga');
+  });
+
+  it('leaves out a division that repeats the city', () => {
+    expect(searchGazetteer(gazetteer, 'Hong Kong')[0].label).toBe('Hong Kong, Hong Kong');
+    expect(searchGazetteer(gazetteer, 'Madrid')[0].label).toBe('Madrid, Spain');
+  });
+});
+
+describe('resolvePlace', () => {
+  it('takes the best exact or prefix match', () => {
+    expect(resolvePlace(gazetteer, 'London, England')).toMatchObject({ name: 'London', timezone: 'Europe/London' });
+  });
+
+  it('falls back to the largest city of a named country', () => {
+    expect(resolvePlace(gazetteer, 'Somewhere, Australia')).toMatchObject({ name: 'Perth', match: 'country' });
+    expect(resolvePlace(gazetteer, 'Nowhere, USA')).toMatchObject({ name: 'New York City', match: 'country' });
+  });
+
+  it('gives up on typos and unknown places', () => {
+    expect(resolvePlace(gazetteer, 'Brelin')).toBeNull();
+    expect(resolvePlace(gazetteer, 'Atlantis')).toBeNull();
+  });
+});
+
+describe('nearestPlace', () => {
+  it('finds the closest place with its distance', () => {
+    // Reading, about 60 km west of London
+    const nearest = nearestPlace(gazetteer, 51.45, -0.97);
+    expect(nearest).toMatchObject({ name: 'London', match: 'nearest' });
+    expect(nearest.distanceKm).toBeGreaterThan(50);
+    expect(nearest.distanceKm).toBeLessThan(65);
+  });
+
+  it('is null for an empty gazetteer', () => {
+    expect(nearestPlace({ places: [], countries: [] }, 0, 0)).toBeNull();
+  });
+});
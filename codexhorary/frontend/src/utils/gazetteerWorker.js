@@ -0,0 +1,23 @@
+// Location search worker: inflates and decodes the bundled gazetteer once,
+// off the main thread, then answers { id, type: 'search' | 'resolve' |
+// 'nearest', query, limit } messages with { id, result } or { id, error }.
+// For 'nearest' the query is { latitude, longitude }.
+import gazetteerData from '../data/gazetteer.gz.b64?raw';
+import { inflateGazetteer, decodeGazetteer, searchGazetteer, resolvePlace, nearestPlace } from './gazetteer.js';
+
+let gazetteerReady = null;
+
+self.onmessage = async ({ data }) => {
+  const { id, type, query, limit } = data;
+  try {
+    if (!gazetteerReady) gazetteerReady = inflateGazetteer(gazetteerData).then(decodeGazetteer);
+    const gazetteer = await gazetteerReady;
+    let result;
+    if (type === 'resolve') result = resolvePlace(gazetteer, query);
+    else if (type === 'nearest') result = nearestPlace(gazetteer, query.latitude, query.longitude);
+    else result = searchGazetteer(gazetteer, query, limit);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,245 @@
+// General chart information computed in the browser, in the same shape as the
+// backend's general_info, for charts cast offline or saved before the engine
+// returned it: planetary day and hour, Moon phase, mansion and condition.
+//
+// Planetary hours are the twelve unequal hours between local sunrise and
+// sunset (and sunset and the next sunrise), found by stepping the Sun's
+// altitude at the chart's coordinates. The planetary day starts at sunrise,
+// so a question asked before dawn belongs to the previous day's ruler.
+import {
+  SIGNS,
+  normalizeDegrees,
+  getSign,
+  julianDay,
+  obliquity,
+  planetLongitudes,
+  planetPositions,
+  greenwichSiderealTime,
+  signRuler
+} from './ephemeris.js';
+import { chartMoment, formatDuration } from './timeScrub.js';
+import { buildMoonStory } from './moonStory.js';
+import { getTimezoneOffsetMinutes } from './timezone.js';
+
+// Chaldean order; each hour is ruled by the next planet in it
+export const CHALDEAN_ORDER = ['Saturn', 'Jupiter', 'Mars', 'Sun', 'Venus', 'Mercury', 'Moon'];
+
+// By JavaScript weekday, Sunday first
+const DAY_RULERS = ['Sun', 'Moon', 'Mars', 'Mercury', 'Jupiter', 'Venus', 'Saturn'];
+
+// The 28 mansions of 12°51' each from 0° Aries (the backend's names)
+export const LUNAR_MANSIONS = [
+  "Al Sharatain", "Al Butain", "Al Thurayya", "Al Dabaran",
+  "Al Hak'ah", "Al Han'ah", "Al Dhira", "Al Nathrah",
+  "Al Tarf", "Al Jabhah", "Al Zubrah", "Al Sarfah",
+  "Al Awwa", "Al Simak", "Al Ghafr", "Al Jubana",
+  "Iklil", "Al Qalb", "Al Shaula", "Al Na'am",
+  "Al Baldah", "Sa'd al Dhabih", "Sa'd Bula", "Sa'd al Su'ud",
+  "Sa'd al Akhbiya", "Al Fargh al Mukdim", "Al Fargh al Thani",
+  "Batn al Hut"
+];
+
+// Centre of the Sun's disc at sunrise and sunset: refraction plus semidiameter
+const HORIZON = -0.833;
+const SEARCH_HOURS = 48;
+
+const DEG = Math.PI / 180;
+
+const sunAltitude = (jd, latitude, longitude) => {
+  const lambda = planetLongitudes(jd).Sun * DEG;
+  const eps = obliquity(jd) * DEG;
+  const ra = Math.atan2(Math.cos(eps) * Math.sin(lambda), Math.cos(lambda)) / DEG;
+  const dec = Math.asin(Math.sin(eps) * Math.sin(lambda));
+  const hourAngle = (greenwichSiderealTime(jd) + longitude - ra) * DEG;
+  const lat = latitude * DEG;
+  return Math.asin(Math.sin(lat) * Math.sin(dec) + Math.cos(lat) * Math.cos(dec) * Math.cos(hourAngle)) / DEG;
+};
+
+// Hours from the chart of the first sunrise (or sunset) from `start`, looking
+// forward or back. Null when there is none within two days (polar day or night).
+const findSunEvent = (altitudeAt, start, direction, rising) => {
+  const isUp = hours => altitudeAt(hours) >= HORIZON;
+  for (let step = 0; step < SEARCH_HOURS; step++) {
+    const a = start + direction * step;
+    const b = a + direction;
+    const [earlier, later] = direction > 0 ? [a, b] : [b, a];
+    if (isUp(earlier) !== rising && isUp(later) === rising) {
+      let low = earlier;
+      let high = later;
+      while (high - low > 1 / 3600) {
+        const middle = (low + high) / 2;
+        if (isUp(middle) === rising) high = middle;
+        else low = middle;
+      }
+      return high;
+    }
+  }
+  return null;
+};
+
+// -> { ruler, dayRuler, number (1-12), daytime, start, end, sunrise, sunset, nextSunrise }
+// for the planetary hour containing the chart, or null without coordinates
+// or a sunrise
+export const planetaryHourAt = (castAt, coordinates) => {
+  if (!coordinates || typeof coordinates.latitude !== 'number') return null;
+  const { latitude, longitude } = coordinates;
+  const jd = julianDay(castAt);
+  const altitudeAt = hours => sunAltitude(jd + hours / 24, latitude, longitude);
+
+  // The last sunrise at or before the chart opens the planetary day
+  const sunrise = findSunEvent(altitudeAt, 0, -1, true);
+  const sunset = sunrise !== null ? findSunEvent(altitudeAt, sunrise, 1, false) : null;
+  const nextSunrise = sunset !== null ? findSunEvent(altitudeAt, sunset, 1, true) : null;
+  if (nextSunrise === null) return null;
+
+  const daytime = sunset > 0;
+  const [from, to] = daytime ? [sunrise, sunset] : [sunset, nextSunrise];
+  const length = (to - from) / 12;
+  const index = Math.min(11, Math.floor(-from / length));
+
+  // Weekday of the sunrise in local mean solar time, which needs no time zone
+  // and always falls on the civil date of the sunrise
+  const toTime = hours => new Date(castAt.getTime() + hours * 3600000);
+  const solarSunrise = new Date(toTime(sunrise).getTime() + (longitude / 15) * 3600000);
+  const dayRuler = DAY_RULERS[solarSunrise.getUTCDay()];
+  const hourIndex = (daytime ? 0 : 12) + index;
+
+  return {
+    ruler: CHALDEAN_ORDER[(CHALDEAN_ORDER.indexOf(dayRuler) + hourIndex) % 7],
+    dayRuler,
+    number: index + 1,
+    daytime,
+    start: toTime(from + index * length),
+    end: toTime(from + (index + 1) * length),
+    sunrise: toTime(sunrise),
+    sunset: toTime(sunset),
+    nextSunrise: toTime(nextSunrise)
+  };
+};
+
+// Elongation of the Moon from the Sun, 0-360 measured in the order of the signs
+export const moonPhase = (moonLongitude, sunLongitude) => {
+  const angle = normalizeDegrees(moonLongitude - sunLongitude);
+  const names = [
+    'New Moon', 'Waxing Crescent', 'First Quarter', 'Waxing Gibbous',
+    'Full Moon', 'Waning Gibbous', 'Last Quarter', 'Waning Crescent'
+  ];
+  return { name: names[Math.floor(normalizeDegrees(angle + 22.5) / 45)], angle };
+};
+
+export const lunarMansion = (moonLongitude) => {
+  const index = Math.floor(normalizeDegrees(moonLongitude) / (360 / 28));
+  return { number: index + 1, name: LUNAR_MANSIONS[index] };
+};
+
+// Same bands as the backend, in degrees a day
+export const moonSpeedCategory = (speed) => {
+  const value = Math.abs(speed);
+  if (value < 11) return 'Very Slow';
+  if (value < 12) return 'Slow';
+  if (value < 14) return 'Average';
+  if (value < 15) return 'Fast';
+  return 'Very Fast';
+};
+
+// Day ruler from the civil weekday at the chart's own clock, for charts
+// without coordinates (so no sunrise to start the day from)
+const clockDayRuler = (chart, castAt) => {
+  const timezone = chart.chart_data?.timezone_info?.timezone;
+  let offsetMinutes = 0;
+  try {
+    if (timezone) offsetMinutes = getTimezoneOffsetMinutes(timezone, castAt);
+  } catch (error) {
+    // Unknown zone name: fall back to UTC
+  }
+  return DAY_RULERS[new Date(castAt.getTime() + offsetMinutes * 60000).getUTCDay()];
+};
+
+const voidCondition = (chart) => {
+  const story = buildMoonStory(chart);
+  if (!story) return { void_of_course: null, void_reason: null };
+  const [next] = story.events;
+  const byOrb = story.voidRule.rule === 'by_orb';
+  if (story.voidAtCast) {
+    return {
+      void_of_course: true,
+      void_reason: byOrb
+        ? `Not within ${story.voidRule.orb}° of any major aspect`
+        : `No further major aspect before entering ${story.nextSign} in ${formatDuration(story.ingressHours)}`
+    };
+  }
+  if (byOrb) {
+    return { void_of_course: false, void_reason: `Within ${story.voidRule.orb}° of a major aspect` };
+  }
+  return {
+    void_of_course: false,
+    void_reason: `Perfects ${next.aspect.toLowerCase()} with ${next.planet} in ${formatDuration(next.hours)}, before leaving ${story.sign}`
+  };
+};
+
+// general_info for a chart that lacks it, or null without Sun and Moon.
+// Adds moon_phase_angle, planetary_hour_details and source: 'local' to the
+// backend fields.
+export const deriveGeneralInfo = (chart) => {
+  const planets = chart?.chart_data?.planets;
+  if (!planets?.Moon || !planets?.Sun) return null;
+
+  const castAt = chartMoment(chart);
+  const hour = planetaryHourAt(castAt, chart.chart_data.timezone_info?.coordinates);
+  const phase = moonPhase(planets.Moon.longitude, planets.Sun.longitude);
+  const speed = typeof planets.Moon.speed === 'number'
+    ? planets.Moon.speed
+    : planetPositions(julianDay(castAt)).Moon.speed;
+
+  return {
+    planetary_day: hour ? hour.dayRuler : clockDayRuler(chart, castAt),
+    planetary_hour: hour ? hour.ruler : null,
+    planetary_hour_details: hour,
+    moon_phase: phase.name,
+    moon_phase_angle: phase.angle,
+    moon_mansion: lunarMansion(planets.Moon.longitude),
+    moon_condition: {
+      sign: planets.Moon.sign || getSign(planets.Moon.longitude),
+      speed,
+      speed_category: moonSpeedCategory(speed),
+      ...voidCondition(chart)
+    },
+    source: 'local'
+  };
+};
+
+const TRIPLICITIES = ['Fire', 'Earth', 'Air', 'Water'];
+const triplicity = sign => TRIPLICITIES[SIGNS.indexOf(sign) % 4];
+
+// The backend's planetary hour agreement check (radicality.hour_agreement_mode):
+//   ruler      - the hour ruler is the Ascendant ruler
+//   sign       - the hour ruler stands in the Ascendant sign
+//   triplicity - the hour ruler stands in a sign of the Ascendant's triplicity
+// -> { valid, reason, hourRuler, ascendantRuler, mode }, or null when the
+// chart has no Ascendant or no planetary hour can be found
+export const checkHourAgreement = (chart, mode = 'ruler') => {
+  const chartData = chart?.chart_data;
+  if (chartData?.ascendant == null) return null;
+  const hour = planetaryHourAt(chartMoment(chart), chartData.timezone_info?.coordinates);
+  if (!hour) return null;
+
+  const ascendantSign = getSign(chartData.ascendant);
+  const ascendantRuler = signRuler(ascendantSign);
+  const hourRuler = hour.ruler;
+  const hourSign = chartData.planets?.[hourRuler]?.sign;
+  const result = (valid, reason) => ({ valid, reason, hourRuler, ascendantRuler, mode });
+
+  if (mode === 'sign') {
+    return hourSign === ascendantSign
+      ? result(true, `Planetary hour ruler ${hourRuler} in Ascendant sign ${ascendantSign}`)
+      : result(false, `Planetary hour ruler ${hourRuler} not in Ascendant sign ${ascendantSign}`);
+  }
+  if (mode === 'triplicity') {
+    return hourSign && triplicity(hourSign) === triplicity(ascendantSign)
+      ? result(true, 'Planetary hour ruler shares triplicity with Ascendant')
+      : result(false, 'Planetary hour ruler does not share triplicity with Ascendant');
+  }
+  return hourRuler === ascendantRuler
+    ? result(true, `Planetary hour ruler ${hourRuler} matches Ascendant ruler`)
+    : result(false, `Planetary hour ruler ${hourRuler} does not match Ascendant ruler ${ascendantRuler}`);
+};
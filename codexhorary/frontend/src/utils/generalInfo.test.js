@@ -0,0 +1,130 @@
+import { describe, expect, it } from 'vitest';
+import { calculateChartData } from './ephemeris.js';
+import {
+  checkHourAgreement,
+  deriveGeneralInfo,
+  lunarMansion,
+  moonPhase,
+  moonSpeedCategory,
+  planetaryHourAt
+} from './generalInfo.js';
+
+const LONDON = { latitude: 51.5074, longitude: -0.1278 };
+const TROMSO = { latitude: 69.6492, longitude: 18.9553 };
+
+// Midsummer noon in London, a Friday: sunrise about 04:43 and sunset about
+// 21:21 BST (03:43 and 20:21 UTC)
+const MIDSUMMER_NOON = new Date(Date.UTC(2024, 5, 21, 12));
+
+const minutesBetween = (a, b) => Math.abs(a.getTime() - b.getTime()) / 60000;
+
+describe('planetaryHourAt', () => {
+  it('finds the sunrise, sunset and unequal hour', () => {
+    const hour = planetaryHourAt(MIDSUMMER_NOON, LONDON);
+    expect(minutesBetween(hour.sunrise, new Date(Date.UTC(2024, 5, 21, 3, 43)))).toBeLessThan(5);
+    expect(minutesBetween(hour.sunset, new Date(Date.UTC(2024, 5, 21, 20, 21)))).toBeLessThan(5);
+    // Friday is Venus's day; the sixth hour goes Venus, Mercury, Moon, Saturn, Jupiter, Mars
+    expect(hour).toMatchObject({ dayRuler: 'Venus', number: 6, daytime: true, ruler: 'Mars' });
+    expect(hour.start <= MIDSUMMER_NOON && MIDSUMMER_NOON < hour.end).toBe(true);
+  });
+
+  it('gives a question before dawn to the previous day', () => {
+    const hour = planetaryHourAt(new Date(Date.UTC(2024, 5, 21, 2)), LONDON);
+    expect(hour).toMatchObject({ dayRuler: 'Jupiter', daytime: false });
+  });
+
+  it('has no hours without coordinates or a sunrise', () => {
+    expect(planetaryHourAt(MIDSUMMER_NOON, null)).toBeNull();
+    expect(planetaryHourAt(MIDSUMMER_NOON, TROMSO)).toBeNull();
+  });
+});
+
+describe('moonPhase, lunarMansion and moonSpeedCategory', () => {
+  it('names the phase from the elongation', () => {
+    expect(moonPhase(10, 350)).toEqual({ name: 'New Moon', angle: 20 });
+    expect(moonPhase(90, 0).name).toBe('First Quarter');
+    expect(moonPhase(180, 0).name).toBe('Full Moon');
+    expect(moonPhase(300, 0).name).toBe('Waning Crescent');
+  });
+
+  it('counts 28 mansions from 0° Aries', () => {
+    expect(lunarMansion(0)).toEqual({ number: 1, name: 'Al Sharatain' });
+    expect(lunarMansion(13).number).toBe(2);
+    expect(lunarMansion(359.9)).toEqual({ number: 28, name: 'Batn al Hut' });
+  });
+
+  it('bands the Moon speed like the engine', () => {
+    expect(moonSpeedCategory(10.5)).toBe('Very Slow');
+    expect(moonSpeedCategory(13.2)).toBe('Average');
+    expect(moonSpeedCategory(15.1)).toBe('Very Fast');
+  });
+});
+
+describe('deriveGeneralInfo', () => {
+  it('needs the Sun and Moon', () => {
+    expect(deriveGeneralInfo({ chart_data: { planets: { Sun: { longitude: 0 } } } })).toBeNull();
+  });
+
+  it('fills the backend fields for a chart cast with coordinates', () => {
+    const chart = {
+      timestamp: MIDSUMMER_NOON.toISOString(),
+      chart_data: { ...calculateChartData(MIDSUMMER_NOON, LONDON), timezone_info: { coordinates: LONDON } }
+    };
+    const info = deriveGeneralInfo(chart);
+    expect(info).toMatchObject({ planetary_day: 'Venus', planetary_hour: 'Mars', source: 'local' });
+    expect(info.moon_condition.sign).toBe(chart.chart_data.planets.Moon.sign);
+    expect(typeof info.moon_condition.void_of_course).toBe('boolean');
+    expect(info.moon_condition.void_reason).toBeTruthy();
+  });
+
+  it('takes the day from the chart clock without coordinates', () => {
+    // Friday 22:00 in New York, already Saturday in UTC
+    const castAt = new Date(Date.UTC(2024, 5, 22, 2));
+    const chart = {
+      timestamp: castAt.toISOString(),
+      chart_data: { ...calculateChartData(castAt), timezone_info: { timezone: 'America/New_York' } }
+    };
+    expect(deriveGeneralInfo(chart)).toMatchObject({ planetary_day: 'Venus', planetary_hour: null, planetary_hour_details: null });
+  });
+
+  it('words the void by the chart rule', () => {
+    const chart = {
+      timestamp: MIDSUMMER_NOON.toISOString(),
+      chart_data: calculateChartData(MIDSUMMER_NOON),
+      calculation_metadata: { profile: { settings: { 'moon.void_rule': 'by_orb', 'orbs.void_orb_deg': 1 } } }
+    };
+    expect(deriveGeneralInfo(chart).moon_condition.void_reason).toMatch(/1° of (any|a) major aspect/);
+  });
+});
+
+describe('checkHourAgreement', () => {
+  // The Mars hour at midsummer noon in London
+  const chartWith = (ascendant, marsSign) => ({
+    timestamp: MIDSUMMER_NOON.toISOString(),
+    chart_data: {
+      ascendant,
+      planets: { Mars: { sign: marsSign } },
+      timezone_info: { coordinates: LONDON }
+    }
+  });
+
+  it('checks the hour ruler against the Ascendant ruler', () => {
+    expect(checkHourAgreement(chartWith(15, 'Taurus'))).toMatchObject({ valid: true, hourRuler: 'Mars', ascendantRuler: 'Mars' });
+    expect(checkHourAgreement(chartWith(45, 'Taurus'))).toMatchObject({
+      valid: false,
+      reason: 'Planetary hour ruler Mars does not match Ascendant ruler Venus'
+    });
+  });
+
+  it('checks the sign and triplicity modes from where the hour ruler stands', () => {
+    expect(checkHourAgreement(chartWith(45, 'Taurus'), 'sign').valid).toBe(true);
+    expect(checkHourAgreement(chartWith(45, 'Virgo'), 'sign').valid).toBe(false);
+    expect(checkHourAgreement(chartWith(45, 'Virgo'), 'triplicity').valid).toBe(true);
+    expect(checkHourAgreement(chartWith(45, 'Leo'), 'triplicity').valid).toBe(false);
+  });
+
+  it('needs an Ascendant and a planetary hour', () => {
+    expect(checkHourAgreement(chartWith(null, 'Taurus'))).toBeNull();
+    expect(checkHourAgreement({ ...chartWith(15, 'Taurus'), chart_data: { ascendant: 15, timezone_info: {} } })).toBeNull();
+  });
+});
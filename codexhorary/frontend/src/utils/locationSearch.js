@@ -0,0 +1,93 @@
+// Offline place lookup for the casting form, backed by the bundled gazetteer
+// (see gazetteer.js). Searches run in a worker so typing stays smooth; where
+// a worker can't be started the same search runs on the main thread.
+
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 1;
+const pending = new Map();
+let localGazetteer = null;
+
+// Decoded gazetteer for searching without the worker, loaded on first use
+const loadLocalGazetteer = () => {
+  if (!localGazetteer) {
+    localGazetteer = Promise.all([
+      import('../data/gazetteer.gz.b64?raw'),
+      import('./gazetteer.js')
+    ]).then(async ([{ default: encoded }, gazetteer]) => ({
+      ...gazetteer,
+      data: gazetteer.decodeGazetteer(await gazetteer.inflateGazetteer(encoded))
+    }));
+  }
+  return localGazetteer;
+};
+
+const runLocally = async (type, query, limit) => {
+  const { data, searchGazetteer, resolvePlace, nearestPlace } = await loadLocalGazetteer();
+  if (type === 'resolve') return resolvePlace(data, query);
+  if (type === 'nearest') return nearestPlace(data, query.latitude, query.longitude);
+  return searchGazetteer(data, query, limit);
+};
+
+// Give up on the worker and answer whatever it still owed locally
+const abandonWorker = (error) => {
+  console.warn('Location search worker unavailable, searching on the main thread:', error);
+  workerFailed = true;
+  worker?.terminate();
+  worker = null;
+  pending.forEach(({ type, query, limit, resolve, reject }) => {
+    runLocally(type, query, limit).then(resolve, reject);
+  });
+  pending.clear();
+};
+
+const getWorker = () => {
+  if (worker || workerFailed) return worker;
+  try {
+    worker = new Worker(new URL('./gazetteerWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      const request = pending.get(data.id);
+      if (!request) return;
+      pending.delete(data.id);
+      if (data.error) request.reject(new Error(data.error));
+      else request.resolve(data.result);
+    };
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      abandonWorker(event.message || 'worker error');
+    };
+  } catch (error) {
+    abandonWorker(error);
+  }
+  return worker;
+};
+
+const request = (type, query, limit) => {
+  const searchWorker = getWorker();
+  if (!searchWorker) return runLocally(type, query, limit);
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pending.set(id, { type, query, limit, resolve, reject });
+    searchWorker.postMessage({ id, type, query, limit });
+  });
+};
+
+// Suggestions for what has been typed so far, best first. Each place has
+// name, label ("Portland, Maine, United States"), country, countryCode,
+// latitude, longitude, timezone (IANA), population and match
+// ('exact' | 'prefix' | 'fuzzy').
+export const searchLocations = (query, limit = 8) => {
+  if (!query || !query.trim()) return Promise.resolve([]);
+  return request('search', query, limit);
+};
+
+// The single place a location string refers to, or null. A match of
+// 'country' means only the country was recognised: its time zone is a fair
+// guess but its coordinates are not the querent's.
+export const resolveLocation = (query) => {
+  if (!query || !query.trim()) return Promise.resolve(null);
+  return request('resolve', query);
+};
+
+// The gazetteer place closest to a point, with distanceKm, or null
+export const nearestLocation = (latitude, longitude) => request('nearest', { latitude, longitude });
@@ -0,0 +1,270 @@
+// The Moon's story from the moment of the question: the aspects it perfects
+// until it leaves its sign and through the next sign, each found by stepping
+// the local ephemeris (every planet moving, retrogrades included) and
+// bisecting to the exact minute, plus its void-of-course windows.
+//
+// Void of course follows the rule the chart was judged with (moon.void_rule
+// in its profile settings, as the engine reads it):
+//   by_sign  from the Moon's last exact major aspect in a sign until it
+//            enters the next one
+//   lilly    the same, with the Moon in Taurus, Cancer, Sagittarius or Pisces
+//            excepted
+//   by_orb   whenever the Moon is not within orbs.void_orb_deg of an aspect
+// Like the engine, an excepted Moon is still void; the exception excuses it.
+import { SIGNS, ASPECTS, normalizeDegrees, angleDifference, getSign, essentialDignityScore } from './ephemeris.js';
+import { chartLongitudesAt, chartMoment } from './timeScrub.js';
+
+const STEP_HOURS = 2;
+
+const VOID_RULES = ['by_sign', 'by_orb', 'lilly'];
+const LILLY_EXCEPTIONS = ['Taurus', 'Cancer', 'Sagittarius', 'Pisces'];
+
+// Engine defaults (horary_constants.yaml) for charts saved without settings
+const VOID_DEFAULTS = {
+  'moon.void_rule': 'by_sign',
+  'moon.void_exceptions.cancer': true,
+  'moon.void_exceptions.sagittarius': true,
+  'orbs.void_orb_deg': 1
+};
+
+// -> { rule, orb, exceptions: [sign] } the chart's void of course was judged by
+export const moonVoidRule = (chart) => {
+  const settings = { ...VOID_DEFAULTS, ...chart.calculation_metadata?.profile?.settings };
+  const rule = VOID_RULES.includes(settings['moon.void_rule']) ? settings['moon.void_rule'] : 'by_sign';
+  let exceptions = [];
+  if (rule === 'lilly') exceptions = LILLY_EXCEPTIONS;
+  else if (rule === 'by_sign') {
+    if (settings['moon.void_exceptions.cancer']) exceptions.push('Cancer');
+    if (settings['moon.void_exceptions.sagittarius']) exceptions.push('Sagittarius');
+  }
+  return { rule, orb: settings['orbs.void_orb_deg'], exceptions };
+};
+
+// Every separation (Moon minus planet) that perfects an aspect: sextiles,
+// squares and trines either side of the planet
+const ASPECT_POINTS = ASPECTS.flatMap(({ name, angle }) => (
+  angle === 0 || angle === 180 ? [{ name, angle }] : [{ name, angle }, { name, angle: 360 - angle }]
+));
+
+// Last moment in [from, to] at which `before(t)` still holds, to the second
+const bisect = (from, to, before) => {
+  let low = from;
+  let high = to;
+  while (high - low > 1 / 3600) {
+    const middle = (low + high) / 2;
+    if (before(middle)) low = middle;
+    else high = middle;
+  }
+  return high;
+};
+
+// Hours from the chart at which the Moon reaches `longitude`, searching
+// forward (or backward) from `start`. The Moon is never retrograde.
+const moonReaches = (longitudesAt, longitude, start, direction = 1) => {
+  // Arc still to go (forward) or already travelled (backward)
+  const arc = hours => normalizeDegrees(direction * (longitude - longitudesAt(hours).Moon));
+  let t = start;
+  for (let step = 0; step < 60; step++) {
+    const next = t + direction * STEP_HOURS;
+    const arcAtT = arc(t);
+    // The arc wraps from ~0 to ~360 where the point is passed
+    if (arc(next) > arcAtT) {
+      return direction > 0
+        ? bisect(t, next, hours => arc(hours) <= arcAtT)
+        : bisect(next, t, hours => arc(hours) > arcAtT);
+    }
+    t = next;
+  }
+  return null;
+};
+
+// Perfections of Moon aspects between `from` and `to` hours, in order
+const perfectionsBetween = (longitudesAt, from, to) => {
+  const separation = (longitudes, planet) => normalizeDegrees(longitudes.Moon - longitudes[planet]);
+  const planets = Object.keys(longitudesAt(from)).filter(name => name !== 'Moon');
+  const events = [];
+
+  let current = longitudesAt(from);
+  for (let t = from; t < to; t += STEP_HOURS) {
+    const next = Math.min(t + STEP_HOURS, to);
+    const following = longitudesAt(next);
+    planets.forEach((planet) => {
+      const start = separation(current, planet);
+      // The Moon always outruns the other planets, so the separation grows
+      const moved = normalizeDegrees(separation(following, planet) - start);
+      ASPECT_POINTS.forEach(({ name, angle }) => {
+        const ahead = normalizeDegrees(angle - start);
+        if (ahead === 0 || ahead > moved) return;
+        const hours = bisect(t, next, h => normalizeDegrees(separation(longitudesAt(h), planet) - start) < ahead);
+        events.push({ planet, aspect: name, hours });
+      });
+    });
+    current = following;
+  }
+
+  return events.sort((a, b) => a.hours - b.hours);
+};
+
+// Stretches of [from, to] when the Moon is more than `orb` from every
+// perfection, as [startHours, endHours] pairs
+const gapsOutsideOrb = (longitudesAt, perfections, orb, from, to) => {
+  const covered = perfections.map(({ hours }) => {
+    const moonSpeed = angleDifference(longitudesAt(hours - 1).Moon, longitudesAt(hours + 1).Moon) / 2;
+    const half = orb / moonSpeed;
+    return [hours - half, hours + half];
+  });
+  const gaps = [];
+  let start = from;
+  covered.forEach(([coveredFrom, coveredTo]) => {
+    if (coveredFrom > start) gaps.push([start, Math.min(coveredFrom, to)]);
+    start = Math.max(start, coveredTo);
+  });
+  if (start < to) gaps.push([start, to]);
+  return gaps.filter(([gapFrom, gapTo]) => gapTo > gapFrom);
+};
+
+const planetState = (longitudesAt, planet, hours) => {
+  const longitude = longitudesAt(hours)[planet];
+  const speed = angleDifference(longitudesAt(hours - 12)[planet], longitudesAt(hours + 12)[planet]);
+  const sign = getSign(longitude);
+  return { longitude, sign, speed, retrograde: speed < 0, dignity_score: essentialDignityScore(planet, sign) };
+};
+
+// -> null without a Moon, otherwise {
+//   castAt, sign, nextSign,
+//   enteredSignHours, ingressHours, ingress, nextIngressHours,
+//   lastAspect,   // the Moon's last perfection in its sign before the question
+//   events,       // [{ planet, aspect, hours, time, moonLongitude, inCurrentSign, planetState }]
+//   voidRule,     // moonVoidRule(chart)
+//   voidWindows,  // [{ sign, startHours, endHours, start, end, active, excepted }]
+//   voidAtCast,   // void by the chart's rule, excepted or not
+//   voidExcepted  // void, but in a sign the rule excepts
+// }
+// Times are Dates; `hours` are measured from the chart.
+export const buildMoonStory = (chart) => {
+  const chartData = chart.chart_data;
+  if (!chartData?.planets?.Moon) return null;
+
+  const castAt = chartMoment(chart);
+  const longitudesAt = chartLongitudesAt(chartData, castAt);
+  const moonLongitude = longitudesAt(0).Moon;
+  const signIndex = Math.floor(moonLongitude / 30);
+
+  const enteredSignHours = moonReaches(longitudesAt, signIndex * 30, 0, -1);
+  const ingressHours = moonReaches(longitudesAt, (signIndex + 1) * 30, 0);
+  const nextIngressHours = ingressHours !== null ? moonReaches(longitudesAt, (signIndex + 2) * 30, ingressHours + 1) : null;
+  if (enteredSignHours === null || ingressHours === null || nextIngressHours === null) return null;
+
+  const toTime = hours => new Date(castAt.getTime() + hours * 3600000);
+  const describe = event => ({
+    ...event,
+    time: toTime(event.hours),
+    moonLongitude: longitudesAt(event.hours).Moon,
+    inCurrentSign: event.hours < ingressHours,
+    planetState: planetState(longitudesAt, event.planet, event.hours)
+  });
+
+  const earlier = perfectionsBetween(longitudesAt, enteredSignHours, 0);
+  const events = perfectionsBetween(longitudesAt, 0, nextIngressHours).map(describe);
+  const lastAspect = earlier.length > 0 ? describe(earlier[earlier.length - 1]) : null;
+
+  const voidRule = moonVoidRule(chart);
+  let windows;
+  if (voidRule.rule === 'by_orb') {
+    // From the question on; the aspects around it decide whether it is void
+    windows = gapsOutsideOrb(longitudesAt, [...earlier, ...events], voidRule.orb, enteredSignHours, nextIngressHours)
+      .filter(([, endHours]) => endHours > 0)
+      .map(([startHours, endHours]) => ({ sign: getSign(longitudesAt(startHours).Moon), startHours, endHours }));
+  } else {
+    const inCurrentSign = events.filter(event => event.inCurrentSign);
+    const inNextSign = events.filter(event => !event.inCurrentSign);
+    const currentVoidStart = inCurrentSign.length > 0
+      ? inCurrentSign[inCurrentSign.length - 1].hours
+      : (lastAspect ? lastAspect.hours : enteredSignHours);
+    const nextVoidStart = inNextSign.length > 0 ? inNextSign[inNextSign.length - 1].hours : ingressHours;
+    windows = [
+      { sign: SIGNS[signIndex], startHours: currentVoidStart, endHours: ingressHours },
+      { sign: SIGNS[(signIndex + 1) % 12], startHours: nextVoidStart, endHours: nextIngressHours }
+    ];
+  }
+
+  const voidWindows = windows.map(window => ({
+    ...window,
+    start: toTime(window.startHours),
+    end: toTime(window.endHours),
+    active: window.startHours <= 0 && window.endHours > 0,
+    excepted: voidRule.exceptions.includes(window.sign)
+  }));
+  const activeWindow = voidWindows.find(window => window.active);
+
+  return {
+    castAt,
+    sign: SIGNS[signIndex],
+    nextSign: SIGNS[(signIndex + 1) % 12],
+    enteredSignHours,
+    ingressHours,
+    ingress: toTime(ingressHours),
+    nextIngressHours,
+    lastAspect,
+    events,
+    voidRule,
+    voidWindows,
+    voidAtCast: Boolean(activeWindow),
+    voidExcepted: Boolean(activeWindow?.excepted)
+  };
+};
+
+// Compare the story with the Moon data the backend returned with the chart
+// (the moon_aspects, moon_next_aspect and considerations fields that
+// /api/moon-debug points to). -> [{ label, backend, local, agrees }], empty
+// when the chart has no backend Moon data (it was cast offline).
+export const crossCheckMoonStory = (story, chart) => {
+  if (!story) return [];
+  const rows = [];
+  const [next] = story.events;
+
+  const backendNext = chart.moon_next_aspect;
+  if (backendNext) {
+    const backendHours = backendNext.perfection_eta_days * 24;
+    const sameAspect = next && next.planet === backendNext.planet && next.aspect === backendNext.aspect;
+    rows.push({
+      label: 'Next aspect',
+      backend: `${backendNext.aspect} ${backendNext.planet}`,
+      local: next ? `${next.aspect} ${next.planet}` : 'None',
+      agrees: Boolean(sameAspect)
+    });
+    if (sameAspect) {
+      rows.push({
+        label: 'Perfects in',
+        backend: `${backendHours.toFixed(1)} h`,
+        local: `${next.hours.toFixed(1)} h`,
+        // The backend divides the orb by the Moon's speed alone
+        agrees: Math.abs(backendHours - next.hours) <= Math.max(1, next.hours * 0.1)
+      });
+    }
+  }
+
+  const backendVoid = chart.considerations?.moon_void ?? chart.general_info?.moon_condition?.void_of_course;
+  if (typeof backendVoid === 'boolean') {
+    rows.push({
+      label: 'Void of course',
+      backend: backendVoid ? 'Yes' : 'No',
+      local: story.voidAtCast ? 'Yes' : 'No',
+      agrees: backendVoid === story.voidAtCast
+    });
+  }
+
+  const backendApplying = (chart.moon_aspects || []).filter(aspect => aspect.applying);
+  if (backendApplying.length > 0) {
+    const inSign = story.events.filter(event => event.inCurrentSign);
+    const missing = backendApplying.filter(aspect => !inSign.some(event => event.planet === aspect.planet && event.aspect === aspect.aspect));
+    rows.push({
+      label: 'Applying aspects',
+      backend: backendApplying.map(aspect => `${aspect.aspect} ${aspect.planet}`).join(', '),
+      local: inSign.map(event => `${event.aspect} ${event.planet}`).join(', ') || 'None',
+      agrees: missing.length === 0
+    });
+  }
+
+  return rows;
+};
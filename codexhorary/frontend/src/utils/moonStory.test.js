@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import { calculateChartData } from './ephemeris.js';
+import { buildMoonStory, crossCheckMoonStory, moonVoidRule } from './moonStory.js';
+
+// Moments found with the local ephemeris: the Moon in Virgo with aspects
+// still to make, void in Pisces, and void in Cancer
+const NOT_VOID = new Date(Date.UTC(2024, 0, 1));
+const VOID_IN_PISCES = new Date(Date.UTC(2024, 0, 15, 21));
+const VOID_IN_CANCER = new Date(Date.UTC(2024, 0, 24, 3));
+
+const chartAt = (date, settings) => ({
+  timestamp: date.toISOString(),
+  chart_data: calculateChartData(date),
+  ...(settings && { calculation_metadata: { profile: { settings } } })
+});
+
+describe('moonVoidRule', () => {
+  it('falls back to the engine defaults', () => {
+    expect(moonVoidRule({})).toEqual({ rule: 'by_sign', orb: 1, exceptions: ['Cancer', 'Sagittarius'] });
+  });
+
+  it('reads the rule and exceptions from the profile settings', () => {
+    expect(moonVoidRule(chartAt(NOT_VOID, {
+      'moon.void_rule': 'by_sign',
+      'moon.void_exceptions.cancer': false,
+      'moon.void_exceptions.sagittarius': true
+    })).exceptions).toEqual(['Sagittarius']);
+    expect(moonVoidRule(chartAt(NOT_VOID, { 'moon.void_rule': 'lilly' })).exceptions)
+      .toEqual(['Taurus', 'Cancer', 'Sagittarius', 'Pisces']);
+    expect(moonVoidRule(chartAt(NOT_VOID, { 'moon.void_rule': 'by_orb', 'orbs.void_orb_deg': 2 })))
+      .toEqual({ rule: 'by_orb', orb: 2, exceptions: [] });
+  });
+
+  it('treats an unknown rule as by sign, like the engine', () => {
+    expect(moonVoidRule(chartAt(NOT_VOID, { 'moon.void_rule': 'ptolemy' })).rule).toBe('by_sign');
+  });
+});
+
+describe('buildMoonStory', () => {
+  it('needs a Moon', () => {
+    expect(buildMoonStory({ timestamp: NOT_VOID.toISOString(), chart_data: { planets: {} } })).toBeNull();
+  });
+
+  it('lists the coming perfections in order', () => {
+    const story = buildMoonStory(chartAt(NOT_VOID));
+    expect(story.sign).toBe('Virgo');
+    expect(story.voidAtCast).toBe(false);
+    expect(story.events.length).toBeGreaterThan(0);
+    story.events.forEach((event, index) => {
+      expect(event.hours).toBeGreaterThan(0);
+      if (index > 0) expect(event.hours).toBeGreaterThanOrEqual(story.events[index - 1].hours);
+      expect(event.inCurrentSign).toBe(event.hours < story.ingressHours);
+    });
+  });
+
+  it('is void by sign from the last aspect to the ingress', () => {
+    const story = buildMoonStory(chartAt(VOID_IN_CANCER));
+    const [current] = story.voidWindows;
+    expect(story.sign).toBe('Cancer');
+    expect(story.voidAtCast).toBe(true);
+    expect(current).toMatchObject({ sign: 'Cancer', endHours: story.ingressHours, active: true });
+    expect(story.events.some(event => event.inCurrentSign)).toBe(false);
+  });
+
+  it('excepts the signs the rule names', () => {
+    expect(buildMoonStory(chartAt(VOID_IN_CANCER)).voidExcepted).toBe(true);
+    expect(buildMoonStory(chartAt(VOID_IN_CANCER, { 'moon.void_exceptions.cancer': false })).voidExcepted).toBe(false);
+    expect(buildMoonStory(chartAt(VOID_IN_PISCES)).voidExcepted).toBe(false);
+
+    const lilly = buildMoonStory(chartAt(VOID_IN_PISCES, { 'moon.void_rule': 'lilly' }));
+    expect(lilly).toMatchObject({ voidAtCast: true, voidExcepted: true });
+    expect(lilly.voidWindows[0].excepted).toBe(true);
+  });
+
+  it('is void by orb only away from every perfection', () => {
+    const story = buildMoonStory(chartAt(NOT_VOID, { 'moon.void_rule': 'by_orb', 'orbs.void_orb_deg': 1 }));
+    expect(story.voidWindows.length).toBeGreaterThan(0);
+    story.voidWindows.forEach((window) => {
+      expect(window.endHours).toBeGreaterThan(0);
+      expect(window.excepted).toBe(false);
+      story.events.forEach(event => expect(event.hours <= window.startHours || event.hours >= window.endHours).toBe(true));
+    });
+    expect(story.voidAtCast).toBe(story.voidWindows.some(window => window.startHours <= 0 && window.endHours > 0));
+  });
+});
+
+describe('crossCheckMoonStory', () => {
+  it('agrees with the engine on a Lilly chart void in an excepted sign', () => {
+    const chart = { ...chartAt(VOID_IN_PISCES, { 'moon.void_rule': 'lilly' }), considerations: { moon_void: true } };
+    const rows = crossCheckMoonStory(buildMoonStory(chart), chart);
+    expect(rows).toEqual([{ label: 'Void of course', backend: 'Yes', local: 'Yes', agrees: true }]);
+  });
+
+  it('flags a disagreement on the next aspect', () => {
+    const chart = { ...chartAt(NOT_VOID), moon_next_aspect: { planet: 'Pluto', aspect: 'Trine', perfection_eta_days: 1 } };
+    const [row] = crossCheckMoonStory(buildMoonStory(chart), chart);
+    expect(row).toMatchObject({ label: 'Next aspect', backend: 'Trine Pluto', agrees: false });
+  });
+
+  it('has nothing to compare for an offline chart', () => {
+    const chart = chartAt(NOT_VOID);
+    expect(crossCheckMoonStory(buildMoonStory(chart), chart)).toEqual([]);
+    expect(crossCheckMoonStory(null, chart)).toEqual([]);
+  });
+});
@@ -0,0 +1,99 @@
+// Accuracy statistics from recorded chart outcomes. A chart's outcome lives
+// in chart.resolution = { status, date } where status is one of
+// OUTCOME_STATUSES and date is the 'YYYY-MM-DD' day it was resolved.
+// (chart.outcome is older and only mirrors the judgment.)
+
+export const OUTCOME_STATUSES = {
+  came_true: 'Came true',
+  did_not: 'Did not happen',
+  partial: 'Partially',
+  unknown: 'Unknown'
+};
+
+export const CONFIDENCE_BANDS = [
+  { key: 'low', label: 'Under 50%', min: 0, max: 49 },
+  { key: 'moderate', label: '50-69%', min: 50, max: 69 },
+  { key: 'high', label: '70-84%', min: 70, max: 84 },
+  { key: 'very-high', label: '85%+', min: 85, max: 100 }
+];
+
+export const TREND_PERIOD_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 1 for a correct judgment, 0 for a wrong one, 0.5 for a partial outcome;
+// null when there is nothing to score (no verdict, or outcome not known yet)
+export const scoreChart = (chart) => {
+  const status = chart.resolution?.status;
+  if (!status || status === 'unknown') return null;
+  if (chart.uncalculated_judgment || !['YES', 'NO'].includes(chart.judgment)) return null;
+  if (status === 'partial') return 0.5;
+  const cameTrue = status === 'came_true';
+  return (chart.judgment === 'YES') === cameTrue ? 1 : 0;
+};
+
+// -> { rate: 0-100 or null, scored, resolved }
+export const hitRate = (charts) => {
+  const scores = charts.map(scoreChart).filter(score => score !== null);
+  const resolved = charts.filter(chart => chart.resolution?.status && chart.resolution.status !== 'unknown').length;
+  return {
+    rate: scores.length > 0 ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) : null,
+    scored: scores.length,
+    resolved
+  };
+};
+
+export const getConfidenceBand = (confidence) => {
+  const value = Math.round(Number(confidence) || 0);
+  return CONFIDENCE_BANDS.find(band => value >= band.min && value <= band.max) || CONFIDENCE_BANDS[0];
+};
+
+// Hit rate per group. keysOf(chart) returns the group keys a chart belongs
+// to (several for tags). -> [{ key, rate, scored, resolved, total }]
+export const groupHitRates = (charts, keysOf) => {
+  const groups = new Map();
+  charts.forEach((chart) => {
+    keysOf(chart).forEach((key) => {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(chart);
+    });
+  });
+  return Array.from(groups, ([key, members]) => ({ key, total: members.length, ...hitRate(members) }));
+};
+
+const resolutionTime = (chart) => {
+  const time = chart.resolution?.date ? new Date(`${chart.resolution.date}T00:00:00`).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+const castTime = (chart) => new Date(chart.timestamp).getTime();
+
+// Compare the last `days` with the `days` before that: charts cast, and the
+// hit rate of charts resolved, in each window. Deltas are null when either
+// window has nothing to compare.
+export const periodTrend = (charts, days = TREND_PERIOD_DAYS, now = Date.now()) => {
+  const currentStart = now - days * DAY_MS;
+  const previousStart = currentStart - days * DAY_MS;
+  const inWindow = (time, start, end) => time !== null && time >= start && time < end;
+
+  const castCurrent = charts.filter(chart => inWindow(castTime(chart), currentStart, now + DAY_MS)).length;
+  const castPrevious = charts.filter(chart => inWindow(castTime(chart), previousStart, currentStart)).length;
+  const rateCurrent = hitRate(charts.filter(chart => inWindow(resolutionTime(chart), currentStart, now + DAY_MS)));
+  const ratePrevious = hitRate(charts.filter(chart => inWindow(resolutionTime(chart), previousStart, currentStart)));
+
+  return {
+    days,
+    cast: { current: castCurrent, previous: castPrevious, delta: castCurrent - castPrevious },
+    hitRate: {
+      current: rateCurrent.rate,
+      previous: ratePrevious.rate,
+      delta: rateCurrent.rate !== null && ratePrevious.rate !== null ? rateCurrent.rate - ratePrevious.rate : null
+    }
+  };
+};
+
+// Signed change for display: 3 -> '+3', -2 -> '-2', null -> null
+export const formatDelta = (delta, unit = '') => {
+  if (delta === null || delta === undefined) return null;
+  return `${delta > 0 ? '+' : delta < 0 ? '-' : '±'}${Math.abs(delta)}${unit}`;
+};
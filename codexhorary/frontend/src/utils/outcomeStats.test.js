@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+import {
+  formatDelta,
+  getConfidenceBand,
+  groupHitRates,
+  hitRate,
+  periodTrend,
+  scoreChart
+} from './outcomeStats.js';
+
+const chart = (judgment, status, extra = {}) => ({
+  judgment,
+  timestamp: new Date('2024-05-01T12:00:00'),
+  resolution: status ? { status, date: '2024-05-10' } : null,
+  ...extra
+});
+
+describe('scoreChart', () => {
+  it('scores a verdict against what happened', () => {
+    expect(scoreChart(chart('YES', 'came_true'))).toBe(1);
+    expect(scoreChart(chart('NO', 'did_not'))).toBe(1);
+    expect(scoreChart(chart('YES', 'did_not'))).toBe(0);
+    expect(scoreChart(chart('NO', 'came_true'))).toBe(0);
+    expect(scoreChart(chart('YES', 'partial'))).toBe(0.5);
+  });
+
+  it('leaves out charts with nothing to score', () => {
+    expect(scoreChart(chart('YES', null))).toBeNull();
+    expect(scoreChart(chart('YES', 'unknown'))).toBeNull();
+    expect(scoreChart(chart('UNCLEAR', 'came_true'))).toBeNull();
+    expect(scoreChart(chart('UNCALCULATED', 'came_true', { uncalculated_judgment: true }))).toBeNull();
+  });
+});
+
+describe('hitRate', () => {
+  it('averages the scored charts and counts every resolved one', () => {
+    const charts = [
+      chart('YES', 'came_true'),
+      chart('NO', 'came_true'),
+      chart('YES', 'partial'),
+      chart('UNCLEAR', 'did_not'),
+      chart('YES', 'unknown'),
+      chart('NO', null)
+    ];
+    expect(hitRate(charts)).toEqual({ rate: 50, scored: 3, resolved: 4 });
+  });
+
+  it('has no rate before anything is scored', () => {
+    expect(hitRate([chart('YES', null)]).rate).toBeNull();
+  });
+});
+
+describe('groupHitRates', () => {
+  it('counts a chart in every group it belongs to', () => {
+    const charts = [
+      chart('YES', 'came_true', { tags: ['career', 'money'] }),
+      chart('YES', 'did_not', { tags: ['career'] })
+    ];
+    const rows = groupHitRates(charts, c => c.tags);
+    expect(rows).toEqual([
+      { key: 'career', total: 2, rate: 50, scored: 2, resolved: 2 },
+      { key: 'money', total: 1, rate: 100, scored: 1, resolved: 1 }
+    ]);
+  });
+});
+
+describe('getConfidenceBand', () => {
+  it('puts confidences in their bands', () => {
+    expect(getConfidenceBand(49).key).toBe('low');
+    expect(getConfidenceBand(50).key).toBe('moderate');
+    expect(getConfidenceBand(84.4).key).toBe('high');
+    expect(getConfidenceBand(100).key).toBe('very-high');
+    expect(getConfidenceBand(null).key).toBe('low');
+  });
+});
+
+describe('periodTrend', () => {
+  const now = new Date('2024-06-30T12:00:00').getTime();
+  const at = (cast, resolved, judgment, status) => ({
+    judgment,
+    timestamp: new Date(`${cast}T12:00:00`),
+    resolution: { status, date: resolved }
+  });
+
+  it('compares the last period with the one before', () => {
+    const charts = [
+      at('2024-06-20', '2024-06-25', 'YES', 'came_true'),
+      at('2024-06-21', '2024-06-26', 'YES', 'came_true'),
+      at('2024-05-10', '2024-05-20', 'YES', 'did_not'),
+      at('2024-05-12', '2024-05-22', 'YES', 'came_true')
+    ];
+    expect(periodTrend(charts, 30, now)).toEqual({
+      days: 30,
+      cast: { current: 2, previous: 2, delta: 0 },
+      hitRate: { current: 100, previous: 50, delta: 50 }
+    });
+  });
+
+  it('has no hit rate delta when a period has nothing resolved', () => {
+    const charts = [at('2024-06-20', '2024-06-25', 'YES', 'came_true')];
+    expect(periodTrend(charts, 30, now).hitRate.delta).toBeNull();
+  });
+});
+
+describe('formatDelta', () => {
+  it('signs changes for display', () => {
+    expect(formatDelta(3)).toBe('+3');
+    expect(formatDelta(-2, '%')).toBe('-2%');
+    expect(formatDelta(0)).toBe('±0');
+    expect(formatDelta(null)).toBeNull();
+  });
+});
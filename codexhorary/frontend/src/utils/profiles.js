@@ -0,0 +1,176 @@
+// Named calculation profiles: a set of calculation settings (see
+// chartSettings.js) plus the casting form's override flags. The built-in
+// profiles are fixed; custom ones are kept with the other settings and can be
+// exported to / imported from JSON files.
+import { getDefaultChartSettings, normalizeChartSettings } from './chartSettings.js';
+
+export const PROFILE_FILE_FORMAT = 'voxstella-profiles';
+export const PROFILE_FILE_VERSION = 1;
+
+// Override flags of the casting form's Advanced Options
+export const DEFAULT_ADVANCED_OPTIONS = {
+  ignoreRadicality: false,
+  ignoreVoidMoon: false,
+  ignoreCombustion: false,
+  ignoreSaturn7th: false
+};
+
+export const ADVANCED_OPTION_LABELS = {
+  ignoreRadicality: 'Override Radicality Warnings',
+  ignoreVoidMoon: 'Override Void Moon Warnings',
+  ignoreCombustion: 'Override Combustion Penalties',
+  ignoreSaturn7th: 'Override Saturn 7th Warnings'
+};
+
+export const DEFAULT_PROFILE_ID = 'builtin:default';
+
+export const BUILT_IN_PROFILES = [
+  {
+    id: DEFAULT_PROFILE_ID,
+    name: 'Engine Defaults',
+    description: 'The values shipped in horary_constants.yaml',
+    builtIn: true,
+    settings: getDefaultChartSettings(),
+    advancedOptions: { ...DEFAULT_ADVANCED_OPTIONS }
+  },
+  {
+    id: 'builtin:lilly',
+    name: 'Lilly',
+    description: "Christian Astrology: Lilly's void-of-course rule, with the Moon in Cancer and Sagittarius excepted",
+    builtIn: true,
+    settings: {
+      ...getDefaultChartSettings(),
+      'moon.void_rule': 'lilly',
+      'moon.void_exceptions.cancer': true,
+      'moon.void_exceptions.sagittarius': true
+    },
+    advancedOptions: { ...DEFAULT_ADVANCED_OPTIONS }
+  },
+  {
+    id: 'builtin:bonatti',
+    name: 'Bonatti',
+    description: 'Void of course by sign with no sign exceptions, and no early/late Ascendant penalty',
+    builtIn: true,
+    settings: {
+      ...getDefaultChartSettings(),
+      'moon.void_rule': 'by_sign',
+      'moon.void_exceptions.cancer': false,
+      'moon.void_exceptions.sagittarius': false,
+      'radicality.asc_warning_penalty': 0
+    },
+    advancedOptions: { ...DEFAULT_ADVANCED_OPTIONS }
+  }
+];
+
+const newProfileId = () => `custom:${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+const normalizeAdvancedOptions = (options, errors) => {
+  const result = { ...DEFAULT_ADVANCED_OPTIONS };
+  if (options && typeof options === 'object') {
+    Object.entries(options).forEach(([key, value]) => {
+      if (!(key in DEFAULT_ADVANCED_OPTIONS)) {
+        errors.push(`Unknown override "${key}"`);
+      } else if (typeof value !== 'boolean') {
+        errors.push(`Override "${key}" must be true or false`);
+      } else {
+        result[key] = value;
+      }
+    });
+  }
+  return result;
+};
+
+// Validate a stored or imported profile -> { profile, errors }. Invalid
+// values fall back to the defaults; profile is null without a usable name.
+export const normalizeProfile = (raw, { keepId = true } = {}) => {
+  const errors = [];
+  const name = typeof raw?.name === 'string' ? raw.name.trim() : '';
+  if (!name) {
+    return { profile: null, errors: ['Profile has no name'] };
+  }
+
+  const { settings, errors: settingErrors } = normalizeChartSettings(raw.settings);
+  errors.push(...settingErrors);
+  const advancedOptions = normalizeAdvancedOptions(raw.advancedOptions, errors);
+
+  return {
+    profile: {
+      id: keepId && typeof raw.id === 'string' && raw.id.startsWith('custom:') ? raw.id : newProfileId(),
+      name: name.slice(0, 80),
+      description: typeof raw.description === 'string' ? raw.description.slice(0, 300) : '',
+      settings,
+      advancedOptions
+    },
+    errors: errors.map(error => `${name}: ${error}`)
+  };
+};
+
+export const createProfile = (name, settings, advancedOptions = DEFAULT_ADVANCED_OPTIONS, description = '') => ({
+  id: newProfileId(),
+  name: name.trim(),
+  description,
+  settings: { ...settings },
+  advancedOptions: { ...DEFAULT_ADVANCED_OPTIONS, ...advancedOptions }
+});
+
+// True when the working settings (and overrides, if given) no longer match
+// the profile they came from
+export const isProfileModified = (profile, settings, advancedOptions = null) => {
+  if (!profile) return true;
+  const differs = (saved, current) => Object.keys(saved).some(key => saved[key] !== current[key]);
+  return differs(profile.settings, settings) ||
+    (advancedOptions !== null && differs(profile.advancedOptions, advancedOptions));
+};
+
+// Name not used by any existing profile: "Lilly" -> "Lilly (2)"
+export const uniqueProfileName = (name, profiles) => {
+  const taken = new Set(profiles.map(profile => profile.name.toLowerCase()));
+  if (!taken.has(name.toLowerCase())) return name;
+  let index = 2;
+  while (taken.has(`${name} (${index})`.toLowerCase())) index += 1;
+  return `${name} (${index})`;
+};
+
+export const serializeProfiles = (profiles) => JSON.stringify({
+  format: PROFILE_FILE_FORMAT,
+  version: PROFILE_FILE_VERSION,
+  exportedAt: new Date().toISOString(),
+  profiles: profiles.map(({ name, description, settings, advancedOptions }) => ({
+    name,
+    description,
+    settings,
+    advancedOptions
+  }))
+}, null, 2);
+
+// Contents of an exported file -> { profiles, errors }. Also accepts a bare
+// profile object. Imported profiles always get new ids.
+export const parseProfileFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { profiles: [], errors: [`Not a JSON file: ${error.message}`] };
+  }
+
+  let entries;
+  if (data?.format === PROFILE_FILE_FORMAT) {
+    if (data.version > PROFILE_FILE_VERSION) {
+      return { profiles: [], errors: [`Profile file version ${data.version} is newer than this app supports`] };
+    }
+    entries = Array.isArray(data.profiles) ? data.profiles : [];
+  } else if (data && typeof data === 'object' && data.settings) {
+    entries = [data];
+  } else {
+    return { profiles: [], errors: ['Not a profile file'] };
+  }
+
+  const profiles = [];
+  const errors = [];
+  entries.forEach((entry) => {
+    const result = normalizeProfile(entry, { keepId: false });
+    errors.push(...result.errors);
+    if (result.profile) profiles.push(result.profile);
+  });
+  return { profiles, errors };
+};
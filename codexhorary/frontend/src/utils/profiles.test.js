@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { getDefaultChartSettings } from './chartSettings.js';
+import {
+  BUILT_IN_PROFILES,
+  DEFAULT_ADVANCED_OPTIONS,
+  PROFILE_FILE_FORMAT,
+  createProfile,
+  isProfileModified,
+  normalizeProfile,
+  parseProfileFile,
+  serializeProfiles,
+  uniqueProfileName
+} from './profiles.js';
+
+const lilly = BUILT_IN_PROFILES.find(profile => profile.id === 'builtin:lilly');
+
+describe('built-in profiles', () => {
+  it('hold only valid settings', () => {
+    BUILT_IN_PROFILES.forEach((profile) => {
+      expect(normalizeProfile(profile).errors).toEqual([]);
+    });
+  });
+});
+
+describe('serializeProfiles and parseProfileFile', () => {
+  it('round-trip profiles with new ids', () => {
+    const custom = createProfile('  Strict orbs ', { ...getDefaultChartSettings(), 'orbs.square': 5 }, { ignoreVoidMoon: true });
+    const { profiles, errors } = parseProfileFile(serializeProfiles([custom, lilly]));
+    expect(errors).toEqual([]);
+    expect(profiles.map(profile => profile.name)).toEqual(['Strict orbs', 'Lilly']);
+    expect(profiles[0].settings['orbs.square']).toBe(5);
+    expect(profiles[0].advancedOptions).toEqual({ ...DEFAULT_ADVANCED_OPTIONS, ignoreVoidMoon: true });
+    expect(profiles[0].id).not.toBe(custom.id);
+    expect(profiles[1].id).toMatch(/^custom:/);
+  });
+
+  it('accepts a bare profile object', () => {
+    const { profiles } = parseProfileFile(JSON.stringify({ name: 'Solo', settings: { 'moon.void_rule': 'by_orb' } }));
+    expect(profiles[0].settings['moon.void_rule']).toBe('by_orb');
+  });
+
+  it('drops invalid values and names the profile in each error', () => {
+    const file = JSON.stringify({
+      format: PROFILE_FILE_FORMAT,
+      version: 1,
+      profiles: [{ name: 'Odd', settings: { 'orbs.trine': 40 }, advancedOptions: { ignoreEverything: true } }, { settings: {} }]
+    });
+    const { profiles, errors } = parseProfileFile(file);
+    expect(profiles).toHaveLength(1);
+    expect(profiles[0].settings['orbs.trine']).toBe(8);
+    expect(errors).toEqual([
+      'Odd: Trine must be between 1 and 15',
+      'Odd: Unknown override "ignoreEverything"',
+      'Profile has no name'
+    ]);
+  });
+
+  it('refuses files it cannot read', () => {
+    expect(parseProfileFile('{').errors[0]).toMatch(/Not a JSON file/);
+    expect(parseProfileFile('[1, 2]').errors).toEqual(['Not a profile file']);
+    const newer = JSON.stringify({ format: PROFILE_FILE_FORMAT, version: 99, profiles: [] });
+    expect(parseProfileFile(newer).errors[0]).toMatch(/newer than this app supports/);
+  });
+});
+
+describe('isProfileModified', () => {
+  it('notices changed settings and overrides', () => {
+    expect(isProfileModified(lilly, { ...lilly.settings })).toBe(false);
+    expect(isProfileModified(lilly, { ...lilly.settings, 'moon.void_rule': 'by_sign' })).toBe(true);
+    expect(isProfileModified(lilly, lilly.settings, { ...DEFAULT_ADVANCED_OPTIONS, ignoreCombustion: true })).toBe(true);
+    expect(isProfileModified(null, lilly.settings)).toBe(true);
+  });
+});
+
+describe('uniqueProfileName', () => {
+  it('numbers a name that is taken, ignoring case', () => {
+    const profiles = [{ name: 'Lilly' }, { name: 'lilly (2)' }];
+    expect(uniqueProfileName('Lilly', profiles)).toBe('Lilly (3)');
+    expect(uniqueProfileName('Bonatti', profiles)).toBe('Bonatti');
+  });
+});
@@ -0,0 +1,262 @@
+// Question-type wizard for the casting form: guesses what kind of matter a
+// question is about and whose matter it is, then proposes significator houses
+// by the traditional derived-house rule. The matter is counted from the house
+// of the person it belongs to, so a sibling's (3rd) money is the 2nd from the
+// 3rd, the radical 4th.
+//
+// Proposed houses follow the backend's manualHouses order: querent first,
+// quesited second, then any house that only gives context (the third party's).
+
+const ORDINAL_SUFFIXES = { 1: 'st', 2: 'nd', 3: 'rd' };
+
+export const ordinal = (n) => {
+  const lastTwo = n % 100;
+  const suffix = lastTwo >= 11 && lastTwo <= 13 ? 'th' : (ORDINAL_SUFFIXES[n % 10] || 'th');
+  return `${n}${suffix}`;
+};
+
+// Counting `house` from `from`, inclusively: the 2nd from the 3rd is the 4th
+export const turnHouse = (from, house) => ((from - 1 + house - 1) % 12) + 1;
+
+// What the question is about, in the order they are tried. `house` is counted
+// from the person whose matter it is; `matter` names it in explanations; `tag`
+// is the archive tag it implies. `weakPattern` only counts when no other type
+// matches (words for a partner also turn up in questions about their job).
+export const QUESTION_TYPES = [
+  {
+    id: 'lost_item',
+    label: 'Lost or stolen item',
+    house: 2,
+    matter: 'moveable goods',
+    tag: 'lost-item',
+    pattern: /\b(lost|missing|misplaced|stolen|steal|thief|where (is|are|did))\b/
+  },
+  {
+    id: 'lawsuit',
+    label: 'Lawsuit, contest or open enemy',
+    house: 7,
+    matter: 'opponent',
+    tag: 'legal',
+    pattern: /\b(court|lawsuit|sue|trial|judge|lawyer|contest|competition|opponent|enemy|enemies)\b/
+  },
+  {
+    id: 'health',
+    label: 'Illness and recovery',
+    house: 6,
+    matter: 'illness',
+    tag: 'health',
+    pattern: /\b(ill|illness|sick|disease|recover|cure|surgery|operation|diagnos(is|ed)|health|hospital|doctor)\b/
+  },
+  {
+    id: 'children',
+    label: 'Children or pregnancy',
+    house: 5,
+    matter: 'children and pregnancy',
+    tag: 'family',
+    pattern: /\b(pregnan(t|cy)|conceive|baby|have (a )?child(ren)?|have kids)\b/
+  },
+  {
+    id: 'education',
+    label: 'Exam, study or degree',
+    house: 9,
+    matter: 'higher learning',
+    tag: 'education',
+    pattern: /\b(exam|pass|degree|university|college|school|study|thesis|course|graduate)\b/
+  },
+  {
+    id: 'debt',
+    label: 'Debt, loan or inheritance',
+    house: 8,
+    matter: 'debts and legacies',
+    tag: 'finance',
+    pattern: /\b(debt|loan|owe|owed|borrow|lend|mortgage|inherit(ance)?|legacy|tax|insurance|investors?|funding)\b/
+  },
+  {
+    id: 'career',
+    label: 'Job, career or promotion',
+    house: 10,
+    matter: 'career and standing',
+    tag: 'career',
+    pattern: /\b(job|career|promot(ed|ion)|hired|hire|interview|position|employ(ed|ment)|boss)\b/
+  },
+  {
+    id: 'money',
+    label: 'Money or possessions',
+    house: 2,
+    matter: 'money and possessions',
+    tag: 'finance',
+    pattern: /\b(money|paid|pay|salary|income|profit|rich|afford|savings|wealth|raise)\b/
+  },
+  {
+    id: 'property',
+    label: 'House, land or property',
+    house: 4,
+    matter: 'land and property',
+    tag: 'property',
+    pattern: /\b(house|flat|apartment|property|land|real estate|rent|landlord|new home)\b/
+  },
+  {
+    id: 'long_journey',
+    label: 'Long journey, emigration or study abroad',
+    house: 9,
+    matter: 'long journeys',
+    tag: 'travel',
+    pattern: /\b(abroad|overseas|emigrat(e|ion)|visa|foreign|long journey|flight|fly|relocat(e|ion))\b/
+  },
+  {
+    id: 'short_journey',
+    label: 'Short trip, letters or news',
+    house: 3,
+    matter: 'short journeys and letters',
+    tag: 'travel',
+    pattern: /\b(trip|drive|letter|parcel|news)\b/
+  },
+  {
+    id: 'relationship',
+    label: 'Love, marriage or partnership',
+    house: 7,
+    matter: 'partner',
+    tag: 'relationship',
+    pattern: /\b(love|marr(y|iage|ied)|wedding|relationship|dating|romance|back together|propose|break up|cheating)\b/,
+    weakPattern: /\b(boyfriend|girlfriend|spouse|husband|wife|partner|ex|crush)\b/
+  },
+  {
+    id: 'hopes',
+    label: 'Friends, hopes and wishes',
+    house: 11,
+    matter: 'hopes and wishes',
+    tag: 'general',
+    pattern: /\b(wish|hope|group|club|society)\b/
+  },
+  {
+    id: 'secret',
+    label: 'Secret enemies or confinement',
+    house: 12,
+    matter: 'secret enemies',
+    tag: 'general',
+    pattern: /\b(secret|hidden|betray|prison|jail|spy)\b/
+  },
+  {
+    id: 'other',
+    label: 'Something else',
+    house: 7,
+    matter: 'matter (the 7th by default)',
+    tag: 'general',
+    pattern: null
+  }
+];
+
+// Whose matter it is, with that person's radical house
+export const QUESTION_SUBJECTS = [
+  { id: 'self', label: 'Myself', house: 1, role: 'querent', pattern: null },
+  { id: 'partner', label: 'My partner or spouse', house: 7, role: 'partner or spouse', pattern: /\bmy (husband|wife|partner|spouse|boyfriend|girlfriend|fianc[eé]e?)\b/ },
+  { id: 'father', label: 'My father', house: 4, role: 'father', pattern: /\bmy (father|dad|stepfather)\b/ },
+  { id: 'mother', label: 'My mother', house: 10, role: 'mother', pattern: /\bmy (mother|mum|mom|stepmother)\b/ },
+  { id: 'sibling', label: 'My brother or sister', house: 3, role: 'sibling', pattern: /\bmy (brother|sister|sibling)\b/ },
+  { id: 'child', label: 'My child', house: 5, role: 'child', pattern: /\bmy (son|daughter|child|kid)\b/ },
+  { id: 'friend', label: 'A friend', house: 11, role: 'friend', pattern: /\bmy (best )?friend\b/ },
+  { id: 'employer', label: 'My boss or employer', house: 10, role: 'boss or employer', pattern: /\bmy (boss|employer|manager)\b/ },
+  { id: 'employee', label: 'An employee, tenant or pet', house: 6, role: 'employee, tenant or pet', pattern: /\bmy (employee|tenant|cat|dog|pet)\b/ },
+  // Found by OTHER_POSSESSIVE rather than a pattern of its own
+  { id: 'other', label: 'Someone else (no relation)', house: 7, role: 'other person', pattern: null }
+];
+
+const findById = (list, id) => list.find(item => item.id === id);
+
+// Unknown ids fall back to the defaults, as the wizard does for a blank question
+const typeById = id => findById(QUESTION_TYPES, id) || findById(QUESTION_TYPES, 'other');
+const subjectById = id => findById(QUESTION_SUBJECTS, id) || findById(QUESTION_SUBJECTS, 'self');
+
+// Pronouns are weak evidence: "they" in "will they hire me?" is the employer
+// doing the querent's matter. Only a pronoun that owns the matter itself
+// ("his job", "her new house", "someone's debts") makes it another person's,
+// and only when no "my ..." names whose it is.
+const OTHER_POSSESSIVE = /\b(his|her|their|some(one|body)['’]s)\s+(\w+\s+)?/.source;
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matters that are the other person: a lover or ex, an opponent,
+// or someone asked about in general is the querent's 7th, not the 7th from
+// the 7th
+const OTHER_IS_QUESITED = new Set(['relationship', 'lawsuit', 'other']);
+
+const firstMatch = (list, key, text) => {
+  for (const item of list) {
+    const match = item[key] && text.match(item[key]);
+    if (match) return { item, word: match[0] };
+  }
+  return null;
+};
+
+// Best guess from the question text: -> { type, subject, matched } with the
+// type and subject ids and the words that decided them (null for a default)
+export const classifyQuestion = (question) => {
+  const text = (question || '').toLowerCase();
+
+  const typeMatch = firstMatch(QUESTION_TYPES, 'pattern', text) || firstMatch(QUESTION_TYPES, 'weakPattern', text);
+  let subjectMatch = firstMatch(QUESTION_SUBJECTS, 'pattern', text);
+  if (!subjectMatch && typeMatch) {
+    const possessive = text.match(new RegExp(`${OTHER_POSSESSIVE}${escapeRegExp(typeMatch.word)}\\b`));
+    if (possessive) subjectMatch = { item: findById(QUESTION_SUBJECTS, 'other'), word: possessive[0] };
+  }
+  const type = typeMatch ? typeMatch.item : typeById('other');
+  let subject = subjectMatch ? subjectMatch.item : subjectById('self');
+
+  // "My partner" or "her ex" in a love question is the quesited itself
+  if (OTHER_IS_QUESITED.has(type.id) && (subject.id === 'other' || subject.id === 'partner')) {
+    subject = subjectById('self');
+  }
+
+  return {
+    type: type.id,
+    subject: subject.id,
+    matched: { type: typeMatch?.word || null, subject: subjectMatch?.word || null }
+  };
+};
+
+// Proposed houses for a type and subject, with the reasoning step by step:
+// -> { houses, quesited, subjectHouse, steps: [string], warning }
+export const deriveHouses = (typeId, subjectId) => {
+  const type = typeById(typeId);
+  const subject = subjectById(subjectId);
+  const quesited = turnHouse(subject.house, type.house);
+
+  const steps = ['Querent: 1st house'];
+  if (subject.house === 1) {
+    steps.push(`Querent's ${type.matter}: ${ordinal(quesited)} house`);
+  } else {
+    const role = subject.role.charAt(0).toUpperCase() + subject.role.slice(1);
+    steps.push(`${role}: ${ordinal(subject.house)} house`);
+    steps.push(`${role}'s ${type.matter}: ${ordinal(type.house)} from the ${ordinal(subject.house)} = ${ordinal(quesited)} house`);
+  }
+
+  const houses = [1, quesited];
+  if (subject.house !== 1 && !houses.includes(subject.house)) houses.push(subject.house);
+
+  let warning = null;
+  if (quesited === 1) {
+    warning = 'The quesited falls on the 1st, so querent and quesited share a ruler; the Moon is usually taken as co-significator of the querent.';
+  } else if (subject.house !== 1 && quesited === subject.house) {
+    warning = `The matter falls on the ${subject.role}'s own house, so one ruler signifies both.`;
+  }
+
+  return { houses, quesited, subjectHouse: subject.house, steps, warning };
+};
+
+// What is saved with the chart once the user accepts the wizard's houses:
+// the classification, the houses proposed and the houses actually cast with
+export const buildClassification = (typeId, subjectId, usedHouses) => {
+  const type = typeById(typeId);
+  const subject = subjectById(subjectId);
+  const { houses, steps } = deriveHouses(type.id, subject.id);
+  return {
+    type: type.id,
+    type_label: type.label,
+    subject: subject.id,
+    subject_label: subject.label,
+    tag: type.tag,
+    proposed_houses: houses,
+    houses: usedHouses,
+    adjusted: usedHouses.join(',') !== houses.join(','),
+    explanation: steps
+  };
+};
@@ -0,0 +1,144 @@
+import { describe, expect, it } from 'vitest';
+import {
+  QUESTION_SUBJECTS,
+  QUESTION_TYPES,
+  buildClassification,
+  classifyQuestion,
+  deriveHouses,
+  ordinal,
+  turnHouse
+} from './questionWizard.js';
+
+const housesFor = (question) => {
+  const { type, subject } = classifyQuestion(question);
+  return deriveHouses(type, subject).houses.join(',');
+};
+
+describe('turnHouse and ordinal', () => {
+  it('counts derived houses inclusively and round the wheel', () => {
+    expect(turnHouse(3, 2)).toBe(4);
+    expect(turnHouse(7, 7)).toBe(1);
+    expect(turnHouse(10, 5)).toBe(2);
+    expect(turnHouse(1, 12)).toBe(12);
+  });
+
+  it('names houses as ordinals', () => {
+    expect([1, 2, 3, 4, 11, 12].map(ordinal)).toEqual(['1st', '2nd', '3rd', '4th', '11th', '12th']);
+  });
+});
+
+describe('classifyQuestion', () => {
+  it('guesses the type and the words that gave it away', () => {
+    expect(classifyQuestion('Where is my wedding ring?')).toEqual({
+      type: 'lost_item', subject: 'self', matched: { type: 'where is', subject: null }
+    });
+    expect(classifyQuestion('Will I pass my driving exam?').type).toBe('education');
+    expect(classifyQuestion('Should I take out the mortgage?').type).toBe('debt');
+    expect(classifyQuestion('Is this flight going to be delayed?').type).toBe('long_journey');
+  });
+
+  it('uses partner words for love only when nothing else matches', () => {
+    expect(classifyQuestion('Will my ex come back?').type).toBe('relationship');
+    expect(classifyQuestion('Will my partner get the job?')).toMatchObject({ type: 'career', subject: 'partner' });
+  });
+
+  it('reads "my ..." as whose matter it is', () => {
+    expect(classifyQuestion('Will my sister sell her house?')).toMatchObject({
+      type: 'property', subject: 'sibling', matched: { subject: 'my sister' }
+    });
+    expect(classifyQuestion('Will my father recover from surgery?')).toMatchObject({ type: 'health', subject: 'father' });
+  });
+
+  it('does not let a bare pronoun take a first-person question away from the querent', () => {
+    expect(classifyQuestion('Will they hire me?')).toMatchObject({ type: 'career', subject: 'self' });
+    expect(classifyQuestion('Will I get the job they offered me?')).toMatchObject({ type: 'career', subject: 'self' });
+    expect(classifyQuestion('Will I sell the house to them?')).toMatchObject({ type: 'property', subject: 'self' });
+    expect(classifyQuestion('Will I pay her back?')).toMatchObject({ type: 'money', subject: 'self' });
+    expect(classifyQuestion('Will he come back to me?')).toMatchObject({ type: 'other', subject: 'self' });
+  });
+
+  it('gives the matter to someone else only when a pronoun owns it', () => {
+    expect(classifyQuestion('Will his health improve?')).toEqual({
+      type: 'health', subject: 'other', matched: { type: 'health', subject: 'his health' }
+    });
+    expect(classifyQuestion('Will her new job work out?')).toMatchObject({ type: 'career', subject: 'other' });
+  });
+
+  it('prefers a named relation to a possessive pronoun', () => {
+    expect(classifyQuestion('Will my husband get his job back?')).toMatchObject({ type: 'career', subject: 'partner' });
+  });
+
+  it('makes the other person the quesited in love and lawsuits', () => {
+    expect(classifyQuestion('Will my boyfriend marry me?')).toMatchObject({ type: 'relationship', subject: 'self' });
+    expect(classifyQuestion('Will I win the lawsuit against his company?')).toMatchObject({ type: 'lawsuit', subject: 'self' });
+    expect(classifyQuestion('Is her marriage over?')).toMatchObject({ type: 'relationship', subject: 'self' });
+  });
+
+  it('defaults to the 7th for the querent when nothing matches', () => {
+    expect(classifyQuestion('')).toEqual({ type: 'other', subject: 'self', matched: { type: null, subject: null } });
+    expect(classifyQuestion(null).type).toBe('other');
+  });
+});
+
+describe('deriveHouses', () => {
+  it('gives querent and quesited for the querent\'s own matter', () => {
+    expect(deriveHouses('career', 'self')).toEqual({
+      houses: [1, 10],
+      quesited: 10,
+      subjectHouse: 1,
+      steps: ['Querent: 1st house', 'Querent\'s career and standing: 10th house'],
+      warning: null
+    });
+  });
+
+  it('turns the matter from the subject\'s house and keeps that house as context', () => {
+    const { houses, steps } = deriveHouses('money', 'sibling');
+    expect(houses).toEqual([1, 4, 3]);
+    expect(steps[2]).toBe('Sibling\'s money and possessions: 2nd from the 3rd = 4th house');
+    expect(deriveHouses('career', 'mother').houses).toEqual([1, 7, 10]);
+  });
+
+  it('warns when the quesited falls back on the 1st', () => {
+    const proposal = deriveHouses('relationship', 'partner');
+    expect(proposal).toMatchObject({ houses: [1, 1, 7], quesited: 1 });
+    expect(proposal.warning).toMatch(/share a ruler/);
+    expect(deriveHouses('career', 'father')).toMatchObject({ houses: [1, 1, 4], quesited: 1 });
+  });
+
+  it('falls back to the defaults for unknown ids', () => {
+    expect(deriveHouses('nonsense', 'nobody')).toEqual(deriveHouses('other', 'self'));
+  });
+
+  it('gives every type and subject a pair of distinct houses or a warning', () => {
+    QUESTION_TYPES.forEach((type) => {
+      QUESTION_SUBJECTS.forEach((subject) => {
+        const { houses, warning } = deriveHouses(type.id, subject.id);
+        expect(houses[0]).toBe(1);
+        if (houses.length < 2 || new Set(houses).size < houses.length) expect(warning).not.toBeNull();
+      });
+    });
+  });
+});
+
+describe('buildClassification', () => {
+  it('records what was proposed and what was cast with', () => {
+    expect(buildClassification('money', 'sibling', [1, 4, 3])).toEqual({
+      type: 'money',
+      type_label: 'Money or possessions',
+      subject: 'sibling',
+      subject_label: 'My brother or sister',
+      tag: 'finance',
+      proposed_houses: [1, 4, 3],
+      houses: [1, 4, 3],
+      adjusted: false,
+      explanation: deriveHouses('money', 'sibling').steps
+    });
+    expect(buildClassification('money', 'sibling', [1, 4]).adjusted).toBe(true);
+  });
+
+  it('falls back to the defaults for unknown ids, as deriveHouses does', () => {
+    expect(buildClassification('nonsense', 'nobody', [1, 7])).toMatchObject({
+      type: 'other', subject: 'self', proposed_houses: [1, 7], adjusted: false
+    });
+  });
+});
@@ -0,0 +1,105 @@
+// Moves a cast chart's planets forward or back in time for the time scrubber.
+//
+// The planets are recast with the local ephemeris, but each one keeps the
+// small offset between the local ephemeris and the chart's own (backend)
+// position at the moment of casting, so scrubbing starts exactly from the
+// chart and doesn't jump by a few arcminutes. The houses stay those of the
+// question: we watch the planets move through the chart as cast.
+import {
+  PLANET_NAMES,
+  julianDay,
+  planetLongitudes,
+  planetPositions,
+  angleDifference,
+  normalizeDegrees,
+  getSign,
+  houseOf,
+  essentialDignityScore,
+  findAspects
+} from './ephemeris.js';
+
+// Scrubbing ranges: total span either side of the chart, and one step
+export const SCRUB_RANGES = {
+  day: { label: '±1 day', hours: 24, step: 0.5 },
+  week: { label: '±1 week', hours: 24 * 7, step: 2 },
+  month: { label: '±1 month', hours: 24 * 30, step: 6 }
+};
+
+// Moment the chart was cast for
+export const chartMoment = (chart) => {
+  const localTime = chart.chart_data?.timezone_info?.local_time;
+  return localTime ? new Date(localTime) : new Date(chart.timestamp);
+};
+
+// 2d 6h, 45m
+export const formatDuration = (hours) => {
+  const totalMinutes = Math.round(Math.abs(hours) * 60);
+  const days = Math.floor(totalMinutes / (24 * 60));
+  const wholeHours = Math.floor((totalMinutes % (24 * 60)) / 60);
+  const minutes = totalMinutes % 60;
+  const parts = [];
+  if (days) parts.push(`${days}d`);
+  if (wholeHours) parts.push(`${wholeHours}h`);
+  if (minutes || parts.length === 0) parts.push(`${minutes}m`);
+  return parts.join(' ');
+};
+
+// +2d 6h, -45m
+export const formatOffset = (hours) => {
+  if (hours === 0) return 'Chart time';
+  return `${hours > 0 ? '+' : '-'}${formatDuration(hours)}`;
+};
+
+// -> (hours) => { planet: longitude } for the chart's planets `hours` after
+// the chart, corrected to the chart's own positions as described above
+export const chartLongitudesAt = (chartData, castAt) => {
+  const jd = julianDay(castAt);
+  const atCasting = planetLongitudes(jd);
+  const names = PLANET_NAMES.filter(name => chartData?.planets?.[name]);
+  const corrections = Object.fromEntries(names.map(name => [
+    name,
+    angleDifference(atCasting[name], chartData.planets[name].longitude)
+  ]));
+
+  return (hours) => {
+    const longitudes = planetLongitudes(jd + hours / 24);
+    return Object.fromEntries(names.map(name => [name, normalizeDegrees(longitudes[name] + corrections[name])]));
+  };
+};
+
+// chart_data with the planets and aspects for `offsetHours` after the chart
+// (before it when negative). Solar conditions are dropped, as they no longer
+// describe the moved planets.
+export const chartDataAtOffset = (chartData, castAt, offsetHours) => {
+  if (!offsetHours || !chartData?.planets) return chartData;
+
+  const longitudesAt = chartLongitudesAt(chartData, castAt);
+  const now = longitudesAt(offsetHours);
+  const later = longitudesAt(offsetHours + 2);
+  const motion = planetPositions(julianDay(castAt) + offsetHours / 24);
+  const houses = chartData.houses || [];
+
+  const positions = {};
+  const laterPositions = {};
+  const planets = {};
+  Object.entries(now).forEach(([name, longitude]) => {
+    const sign = getSign(longitude);
+    positions[name] = { longitude };
+    laterPositions[name] = { longitude: later[name] };
+    planets[name] = {
+      longitude,
+      sign,
+      house: houses.length === 12 ? houseOf(longitude, houses) : null,
+      speed: motion[name].speed,
+      retrograde: motion[name].retrograde,
+      dignity_score: essentialDignityScore(name, sign)
+    };
+  });
+
+  const { solar_conditions_summary: _solar, ...rest } = chartData;
+  return {
+    ...rest,
+    planets,
+    aspects: findAspects(positions, laterPositions)
+  };
+};
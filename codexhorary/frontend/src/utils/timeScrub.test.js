@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest';
+import { calculateChartData, angleDifference } from './ephemeris.js';
+import { chartDataAtOffset, chartLongitudesAt, chartMoment, formatDuration, formatOffset } from './timeScrub.js';
+
+const CAST_AT = new Date(Date.UTC(2024, 2, 10, 12));
+const HOUSES = [100, 125, 155, 190, 225, 255, 280, 305, 335, 10, 45, 75];
+
+// The backend's positions differ from the local ephemeris by a few
+// arcminutes; shift every planet a little to stand in for that
+const backendChartData = () => {
+  const local = calculateChartData(CAST_AT);
+  const planets = Object.fromEntries(Object.entries(local.planets).map(([name, planet]) => [
+    name,
+    { ...planet, longitude: (planet.longitude + 0.05) % 360 }
+  ]));
+  return {
+    planets,
+    houses: HOUSES,
+    aspects: [],
+    solar_conditions_summary: { combusted_planets: [] }
+  };
+};
+
+describe('chartMoment', () => {
+  it('prefers the chart local time over the save time', () => {
+    expect(chartMoment({
+      timestamp: '2024-03-10T13:00:00Z',
+      chart_data: { timezone_info: { local_time: '2024-03-10T08:00:00-04:00' } }
+    }).toISOString()).toBe('2024-03-10T12:00:00.000Z');
+    expect(chartMoment({ timestamp: '2024-03-10T13:00:00Z' }).toISOString()).toBe('2024-03-10T13:00:00.000Z');
+  });
+});
+
+describe('formatDuration and formatOffset', () => {
+  it('writes days, hours and minutes', () => {
+    expect(formatDuration(54)).toBe('2d 6h');
+    expect(formatDuration(-0.75)).toBe('45m');
+    expect(formatDuration(0)).toBe('0m');
+    expect(formatDuration(24.5)).toBe('1d 30m');
+  });
+
+  it('signs the offset and names the chart time', () => {
+    expect(formatOffset(54)).toBe('+2d 6h');
+    expect(formatOffset(-0.75)).toBe('-45m');
+    expect(formatOffset(0)).toBe('Chart time');
+  });
+});
+
+describe('chartLongitudesAt', () => {
+  const chartData = backendChartData();
+  const longitudesAt = chartLongitudesAt(chartData, CAST_AT);
+
+  it('starts from the chart positions, not the local ephemeris', () => {
+    Object.entries(longitudesAt(0)).forEach(([name, longitude]) => {
+      expect(Math.abs(angleDifference(longitude, chartData.planets[name].longitude))).toBeLessThan(1e-9);
+    });
+  });
+
+  it('moves the Moon about 13° a day', () => {
+    const motion = Math.abs(angleDifference(longitudesAt(0).Moon, longitudesAt(24).Moon));
+    expect(motion).toBeGreaterThan(11);
+    expect(motion).toBeLessThan(16);
+  });
+});
+
+describe('chartDataAtOffset', () => {
+  const chartData = backendChartData();
+
+  it('returns the chart untouched at the chart time', () => {
+    expect(chartDataAtOffset(chartData, CAST_AT, 0)).toBe(chartData);
+  });
+
+  it('keeps the houses and drops solar conditions', () => {
+    const moved = chartDataAtOffset(chartData, CAST_AT, 12);
+    expect(moved.houses).toBe(HOUSES);
+    expect(moved.solar_conditions_summary).toBeUndefined();
+    Object.values(moved.planets).forEach((planet) => {
+      expect(planet.house).toBeGreaterThanOrEqual(1);
+      expect(planet.house).toBeLessThanOrEqual(12);
+      expect(typeof planet.retrograde).toBe('boolean');
+    });
+    expect(Array.isArray(moved.aspects)).toBe(true);
+  });
+
+  it('leaves houses empty for charts cast without a place', () => {
+    const moved = chartDataAtOffset({ ...chartData, houses: [] }, CAST_AT, -6);
+    Object.values(moved.planets).forEach(planet => expect(planet.house).toBeNull());
+  });
+});
@@ -0,0 +1,127 @@
+// Time zone helpers built on Intl, so IANA zones work without the backend
+
+const formatterCache = {};
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache[timeZone]) {
+    formatterCache[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+  return formatterCache[timeZone];
+};
+
+// Offset of the zone from UTC, in minutes, at the given instant
+export const getTimezoneOffsetMinutes = (timeZone, date) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - wholeSeconds) / 60000);
+};
+
+// ISO 8601 on the zone's clock with its offset, as the backend writes
+// local_time: 2024-03-31T02:30:00+01:00
+export const formatZonedIso = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  const offset = getTimezoneOffsetMinutes(timeZone, date);
+  const sign = offset < 0 ? '-' : '+';
+  const pad = number => String(number).padStart(2, '0');
+  const zone = `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${zone}`;
+};
+
+const DAY_MS = 86400000;
+
+const wallClockMs = (date, time) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  return Date.UTC(year, month - 1, day, hour, minute);
+};
+
+// The instant(s) a wall-clock date ('YYYY-MM-DD') and time ('HH:MM') can mean
+// in an IANA zone, judged against the offsets a day either side:
+//   { status: 'ok', candidates: [one] }
+//   { status: 'ambiguous', candidates: [earlier, later] }  clocks went back
+//   { status: 'gap', candidates: [shifted forward, shifted back], gapMinutes }
+//                                                          clocks went forward
+// Each candidate is { utc: Date, offsetMinutes, wallClockOffsetMinutes }:
+// the offset in force at that instant, and the offset the typed time was read
+// with to get there (utc = wall clock - wallClockOffsetMinutes, as the backend
+// reads utcOffset). They differ only in a gap, where the first candidate reads
+// the time with the offset from before the change (02:30 -> 03:30 summer time).
+export const resolveLocalTime = (date, time, timeZone) => {
+  const wallClock = wallClockMs(date, time);
+  const offsetBefore = getTimezoneOffsetMinutes(timeZone, new Date(wallClock - DAY_MS));
+  const offsetAfter = getTimezoneOffsetMinutes(timeZone, new Date(wallClock + DAY_MS));
+
+  const candidates = [...new Set([offsetBefore, offsetAfter])]
+    .map(offset => new Date(wallClock - offset * 60000))
+    .filter(utc => getTimezoneOffsetMinutes(timeZone, utc) === (wallClock - utc.getTime()) / 60000)
+    .sort((a, b) => a - b)
+    .map((utc) => {
+      const offset = (wallClock - utc.getTime()) / 60000;
+      return { utc, offsetMinutes: offset, wallClockOffsetMinutes: offset };
+    });
+
+  if (candidates.length === 1) return { status: 'ok', candidates };
+  if (candidates.length === 2) return { status: 'ambiguous', candidates };
+
+  const shifted = offset => {
+    const utc = new Date(wallClock - offset * 60000);
+    return { utc, offsetMinutes: getTimezoneOffsetMinutes(timeZone, utc), wallClockOffsetMinutes: offset };
+  };
+  return {
+    status: 'gap',
+    candidates: [shifted(offsetBefore), shifted(offsetAfter)],
+    gapMinutes: offsetAfter - offsetBefore
+  };
+};
+
+// Convert a wall-clock date ('YYYY-MM-DD') and time ('HH:MM') in an IANA zone
+// to a UTC Date. `choice` picks among resolveLocalTime's candidates when the
+// time is ambiguous or falls in a gap.
+export const zonedTimeToUtc = (date, time, timeZone, choice = 0) => {
+  const { candidates } = resolveLocalTime(date, time, timeZone);
+  return (candidates[choice] || candidates[0]).utc;
+};
+
+// 'HH:MM' on the zone's clock at an instant
+export const formatWallClock = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return `${parts.hour}:${parts.minute}`;
+};
+
+// 60 -> 'UTC+01:00', -570 -> 'UTC-09:30'
+export const formatUtcOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const value = Math.abs(minutes);
+  const pad = number => String(number).padStart(2, '0');
+  return `UTC${sign}${pad(Math.floor(value / 60))}:${pad(value % 60)}`;
+};
+
+// Whether the zone is on daylight saving (summer) time at an instant: its
+// offset is ahead of the lesser of its January and July offsets
+export const isDaylightSaving = (timeZone, date) => {
+  const year = date.getUTCFullYear();
+  const standard = Math.min(
+    getTimezoneOffsetMinutes(timeZone, new Date(Date.UTC(year, 0, 1))),
+    getTimezoneOffsetMinutes(timeZone, new Date(Date.UTC(year, 6, 1)))
+  );
+  return getTimezoneOffsetMinutes(timeZone, date) > standard;
+};
@@ -0,0 +1,120 @@
+import { describe, expect, it } from 'vitest';
+import {
+  formatZonedIso,
+  getTimezoneOffsetMinutes,
+  resolveLocalTime,
+  zonedTimeToUtc
+} from './timezone.js';
+
+describe('getTimezoneOffsetMinutes', () => {
+  it('follows daylight saving in both hemispheres', () => {
+    const january = new Date(Date.UTC(2024, 0, 15, 12));
+    const july = new Date(Date.UTC(2024, 6, 15, 12));
+    expect(getTimezoneOffsetMinutes('Europe/London', january)).toBe(0);
+    expect(getTimezoneOffsetMinutes('Europe/London', july)).toBe(60);
+    expect(getTimezoneOffsetMinutes('Australia/Sydney', january)).toBe(660);
+    expect(getTimezoneOffsetMinutes('Australia/Sydney', july)).toBe(600);
+  });
+
+  it('handles zones with half-hour offsets', () => {
+    expect(getTimezoneOffsetMinutes('Asia/Kolkata', new Date(Date.UTC(2024, 0, 1)))).toBe(330);
+  });
+});
+
+describe('formatZonedIso', () => {
+  it('writes the local clock with its offset, as the backend does', () => {
+    const instant = new Date(Date.UTC(2024, 6, 1, 12, 30, 5));
+    expect(formatZonedIso(instant, 'Europe/London')).toBe('2024-07-01T13:30:05+01:00');
+    expect(formatZonedIso(instant, 'America/New_York')).toBe('2024-07-01T08:30:05-04:00');
+    expect(formatZonedIso(instant, 'UTC')).toBe('2024-07-01T12:30:05+00:00');
+  });
+
+  it('keeps the instant when read back', () => {
+    const instant = new Date(Date.UTC(2024, 2, 31, 0, 59));
+    expect(new Date(formatZonedIso(instant, 'Asia/Kathmandu')).getTime()).toBe(instant.getTime());
+  });
+});
+
+// The instant the backend casts for a candidate: it reads the wall-clock
+// time with the utcOffset it is sent
+const backendCast = (date, time, candidate) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hour, minute) - candidate.wallClockOffsetMinutes * 60000);
+};
+
+const summarise = (date, time, timeZone) => {
+  const resolution = resolveLocalTime(date, time, timeZone);
+  resolution.candidates.forEach((candidate) => {
+    expect(backendCast(date, time, candidate).toISOString()).toBe(candidate.utc.toISOString());
+  });
+  return {
+    status: resolution.status,
+    instants: resolution.candidates.map(candidate => candidate.utc.toISOString()),
+    offsets: resolution.candidates.map(candidate => candidate.offsetMinutes)
+  };
+};
+
+describe('resolveLocalTime', () => {
+  it('gives one instant for an ordinary time in either hemisphere', () => {
+    expect(summarise('2024-07-01', '12:00', 'Europe/London')).toEqual({
+      status: 'ok', instants: ['2024-07-01T11:00:00.000Z'], offsets: [60]
+    });
+    expect(summarise('2024-07-01', '12:00', 'Australia/Sydney')).toEqual({
+      status: 'ok', instants: ['2024-07-01T02:00:00.000Z'], offsets: [600]
+    });
+    expect(summarise('2024-01-15', '09:15', 'Asia/Kolkata')).toEqual({
+      status: 'ok', instants: ['2024-01-15T03:45:00.000Z'], offsets: [330]
+    });
+  });
+
+  it('offers both instants, earlier first, when the clocks go back', () => {
+    expect(summarise('2024-10-27', '01:30', 'Europe/London')).toEqual({
+      status: 'ambiguous',
+      instants: ['2024-10-27T00:30:00.000Z', '2024-10-27T01:30:00.000Z'],
+      offsets: [60, 0]
+    });
+    expect(summarise('2024-11-03', '01:30', 'America/New_York')).toEqual({
+      status: 'ambiguous',
+      instants: ['2024-11-03T05:30:00.000Z', '2024-11-03T06:30:00.000Z'],
+      offsets: [-240, -300]
+    });
+    expect(summarise('2024-04-07', '02:30', 'Australia/Sydney')).toEqual({
+      status: 'ambiguous',
+      instants: ['2024-04-06T15:30:00.000Z', '2024-04-06T16:30:00.000Z'],
+      offsets: [660, 600]
+    });
+  });
+
+  it('reads a skipped time with the offsets from before and after the change', () => {
+    expect(summarise('2024-03-31', '01:30', 'Europe/London')).toEqual({
+      status: 'gap',
+      instants: ['2024-03-31T01:30:00.000Z', '2024-03-31T00:30:00.000Z'],
+      offsets: [60, 0]
+    });
+    expect(summarise('2024-03-10', '02:30', 'America/New_York')).toEqual({
+      status: 'gap',
+      instants: ['2024-03-10T07:30:00.000Z', '2024-03-10T06:30:00.000Z'],
+      offsets: [-240, -300]
+    });
+    expect(summarise('2024-10-06', '02:30', 'Australia/Sydney')).toEqual({
+      status: 'gap',
+      instants: ['2024-10-05T16:30:00.000Z', '2024-10-05T15:30:00.000Z'],
+      offsets: [660, 600]
+    });
+  });
+
+  it('sends the offset the time was read with, not the one in force after it', () => {
+    const { candidates, gapMinutes } = resolveLocalTime('2024-03-31', '01:30', 'Europe/London');
+    expect(gapMinutes).toBe(60);
+    expect(candidates.map(candidate => candidate.wallClockOffsetMinutes)).toEqual([0, 60]);
+  });
+});
+
+describe('zonedTimeToUtc', () => {
+  it('picks among the candidates, defaulting to the first', () => {
+    expect(zonedTimeToUtc('2024-10-27', '01:30', 'Europe/London').toISOString()).toBe('2024-10-27T00:30:00.000Z');
+    expect(zonedTimeToUtc('2024-10-27', '01:30', 'Europe/London', 1).toISOString()).toBe('2024-10-27T01:30:00.000Z');
+    expect(zonedTimeToUtc('2024-07-01', '12:00', 'Europe/London', 1).toISOString()).toBe('2024-07-01T11:00:00.000Z');
+  });
+});
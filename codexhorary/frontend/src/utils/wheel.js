@@ -0,0 +1,172 @@
+// Geometry for the chart wheel. Angles are SVG screen angles in degrees:
+// 0 points right and angles grow clockwise (the y axis points down).
+
+export const WHEEL_CENTER = 192;
+
+export const WHEEL_MODES = {
+  ascendant: 'Ascendant left',
+  zodiac: 'Aries at top'
+};
+
+export const SIGN_NAMES = [
+  'Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo',
+  'Libra', 'Scorpio', 'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces'
+];
+
+// In SIGN_NAMES order
+export const SIGN_GLYPHS = ['♈', '♉', '♊', '♋', '♌', '♍', '♎', '♏', '♐', '♑', '♒', '♓'];
+
+export const SIGN_SYMBOLS = Object.fromEntries(SIGN_NAMES.map((name, index) => [name, SIGN_GLYPHS[index]]));
+
+export const PLANET_GLYPHS = {
+  Sun: '☉', Moon: '☽', Mercury: '☿', Venus: '♀', Mars: '♂', Jupiter: '♃', Saturn: '♄'
+};
+
+export const ASPECT_COLORS = {
+  Conjunction: '#fbbf24',
+  Sextile: '#10b981',
+  Square: '#ef4444',
+  Trine: '#3b82f6',
+  Opposition: '#8b5cf6'
+};
+
+// What a planet's glyph is coloured by: its solar condition if it has one,
+// otherwise its dignity. -> 'cazimi' | 'combust' | 'under_beams' |
+// 'dignified' | 'debilitated' | 'peregrine'
+export const planetCondition = (name, planet, solar) => {
+  if (solar?.cazimi_planets?.some(item => item.planet === name)) return 'cazimi';
+  if (solar?.combusted_planets?.some(item => item.planet === name)) return 'combust';
+  if (solar?.under_beams_planets?.some(item => item.planet === name)) return 'under_beams';
+  if (planet?.dignity_score > 0) return 'dignified';
+  if (planet?.dignity_score < 0) return 'debilitated';
+  return 'peregrine';
+};
+
+const DEG = Math.PI / 180;
+
+const normalize = (degrees) => ((degrees % 360) + 360) % 360;
+
+// Mode, Ascendant and MC the wheel is drawn with. Charts without an
+// Ascendant (cast offline for an unknown place) can only be zodiac-fixed.
+export const wheelOrientation = (chartData, preferredMode = 'ascendant') => {
+  const houses = chartData?.houses || [];
+  const ascendant = chartData?.ascendant ?? (houses.length === 12 ? houses[0] : null);
+  const midheaven = chartData?.midheaven ?? (houses.length === 12 ? houses[9] : null);
+  return {
+    mode: ascendant != null ? preferredMode : 'zodiac',
+    ascendant,
+    midheaven
+  };
+};
+
+// Longitude -> screen angle. 'zodiac' puts 0° Aries at the top with the signs
+// running clockwise; 'ascendant' puts the Ascendant on the left horizon with
+// the signs (and houses) running counter-clockwise, as in a traditional chart.
+export const wheelProjection = (mode, ascendant = 0) => (
+  mode === 'ascendant'
+    ? (longitude) => 180 - (longitude - ascendant)
+    : (longitude) => longitude - 90
+);
+
+// Whether longitudes grow clockwise on screen for this mode
+export const isClockwise = (mode) => mode !== 'ascendant';
+
+export const polar = (angle, radius, center = WHEEL_CENTER) => ({
+  x: center + Math.cos(angle * DEG) * radius,
+  y: center + Math.sin(angle * DEG) * radius
+});
+
+// Pie slice from the centre covering the zodiac from one longitude to the
+// next (always the forward direction, so spans over 180° work too)
+export const sectorPath = (fromLongitude, toLongitude, radius, project, clockwise, center = WHEEL_CENTER) => {
+  const span = normalize(toLongitude - fromLongitude);
+  const start = polar(project(fromLongitude), radius, center);
+  const end = polar(project(toLongitude), radius, center);
+  const largeArc = span > 180 ? 1 : 0;
+  const sweep = clockwise ? 1 : 0;
+  return `M ${center} ${center} L ${start.x} ${start.y} A ${radius} ${radius} 0 ${largeArc} ${sweep} ${end.x} ${end.y} Z`;
+};
+
+// Twelve cusp longitudes -> [{ house, cusp, nextCusp, span, midLongitude }]
+export const houseSpans = (houses) => houses.map((cusp, index) => {
+  const nextCusp = houses[(index + 1) % 12];
+  const span = normalize(nextCusp - cusp);
+  return { house: index + 1, cusp, nextCusp, span, midLongitude: normalize(cusp + span / 2) };
+});
+
+// 135.5 -> { degrees: 15, minutes: 30, signIndex: 4 }
+export const splitLongitude = (longitude) => {
+  const totalMinutes = Math.round(normalize(longitude) * 60) % (360 * 60);
+  const signIndex = Math.floor(totalMinutes / (30 * 60));
+  const inSign = totalMinutes - signIndex * 30 * 60;
+  return { degrees: Math.floor(inSign / 60), minutes: inSign % 60, signIndex };
+};
+
+// Smallest angular separation (degrees) that keeps glyphs of `size` pixels
+// apart on a ring of `radius` pixels
+export const glyphSeparation = (size, radius) => (size / radius) * (180 / Math.PI);
+
+// Display longitudes for glyphs so that none are closer than `minGap`.
+// Clusters are spread evenly around the mean of their true positions and
+// merged with their neighbours until nothing overlaps. Returns the display
+// longitudes in the order given.
+export const spreadLongitudes = (longitudes, minGap) => {
+  const count = longitudes.length;
+  if (count < 2 || count * minGap >= 360) return longitudes.slice();
+
+  // Unroll the circle at its widest gap, which no cluster can straddle
+  const sorted = longitudes
+    .map((longitude, index) => ({ longitude: normalize(longitude), index }))
+    .sort((a, b) => a.longitude - b.longitude);
+  let cut = 0;
+  let widest = -1;
+  sorted.forEach((item, i) => {
+    const gap = normalize(sorted[(i + 1) % count].longitude - item.longitude);
+    if (gap > widest) {
+      widest = gap;
+      cut = (i + 1) % count;
+    }
+  });
+  const ordered = [...sorted.slice(cut), ...sorted.slice(0, cut)];
+  const base = ordered[0].longitude;
+  const unrolled = ordered.map(item => base + normalize(item.longitude - base));
+
+  const place = (cluster) => {
+    const mean = cluster.members.reduce((sum, position) => sum + position, 0) / cluster.members.length;
+    cluster.start = mean - ((cluster.members.length - 1) * minGap) / 2;
+    cluster.end = cluster.start + (cluster.members.length - 1) * minGap;
+  };
+
+  let clusters = unrolled.map((position) => {
+    const cluster = { members: [position] };
+    place(cluster);
+    return cluster;
+  });
+
+  let merged = true;
+  while (merged) {
+    merged = false;
+    const next = [clusters[0]];
+    clusters.slice(1).forEach((cluster) => {
+      const previous = next[next.length - 1];
+      if (cluster.start - previous.end < minGap - 1e-9) {
+        previous.members.push(...cluster.members);
+        place(previous);
+        merged = true;
+      } else {
+        next.push(cluster);
+      }
+    });
+    clusters = next;
+  }
+
+  const display = new Array(count);
+  let position = 0;
+  clusters.forEach((cluster) => {
+    cluster.members.forEach((_, offset) => {
+      display[ordered[position].index] = normalize(cluster.start + offset * minGap);
+      position += 1;
+    });
+  });
+  return display;
+};
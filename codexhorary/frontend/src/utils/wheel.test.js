@@ -0,0 +1,141 @@
+import { describe, expect, it } from 'vitest';
+import {
+  WHEEL_CENTER,
+  glyphSeparation,
+  houseSpans,
+  isClockwise,
+  planetCondition,
+  polar,
+  sectorPath,
+  splitLongitude,
+  spreadLongitudes,
+  wheelOrientation,
+  wheelProjection
+} from './wheel.js';
+
+const HOUSES = [100, 125, 155, 190, 225, 255, 280, 305, 335, 10, 45, 75];
+
+describe('wheelOrientation', () => {
+  it('uses the Ascendant and MC the chart gives', () => {
+    expect(wheelOrientation({ ascendant: 100, midheaven: 10, houses: HOUSES })).toEqual({ mode: 'ascendant', ascendant: 100, midheaven: 10 });
+  });
+
+  it('falls back to the 1st and 10th cusps', () => {
+    expect(wheelOrientation({ houses: HOUSES }, 'ascendant')).toEqual({ mode: 'ascendant', ascendant: 100, midheaven: 10 });
+  });
+
+  it('can only fix the zodiac without an Ascendant', () => {
+    expect(wheelOrientation({ houses: [] }, 'ascendant').mode).toBe('zodiac');
+    expect(wheelOrientation(null).mode).toBe('zodiac');
+  });
+});
+
+describe('wheelProjection', () => {
+  it('puts 0° Aries at the top in zodiac mode, running clockwise', () => {
+    const project = wheelProjection('zodiac');
+    expect(project(0)).toBe(-90);
+    expect(project(90)).toBe(0);
+    expect(isClockwise('zodiac')).toBe(true);
+  });
+
+  it('puts the Ascendant on the left horizon in ascendant mode, running counter-clockwise', () => {
+    const project = wheelProjection('ascendant', 100);
+    expect(project(100)).toBe(180);
+    // The MC a quarter turn on sits at the top of the wheel
+    expect(polar(project(10), 100).y).toBeCloseTo(WHEEL_CENTER - 100, 9);
+    expect(isClockwise('ascendant')).toBe(false);
+  });
+});
+
+describe('sectorPath', () => {
+  it('uses the large arc for spans over 180°', () => {
+    const project = wheelProjection('zodiac');
+    expect(sectorPath(0, 90, 50, project, true)).toMatch(/ A 50 50 0 0 1 /);
+    expect(sectorPath(0, 270, 50, project, true)).toMatch(/ A 50 50 0 1 1 /);
+    expect(sectorPath(350, 20, 50, project, false)).toMatch(/ A 50 50 0 0 0 /);
+  });
+});
+
+describe('houseSpans', () => {
+  it('measures each house to the next cusp across 0° Aries', () => {
+    const spans = houseSpans(HOUSES);
+    expect(spans[8]).toEqual({ house: 9, cusp: 335, nextCusp: 10, span: 35, midLongitude: 352.5 });
+    expect(spans.reduce((sum, house) => sum + house.span, 0)).toBe(360);
+  });
+});
+
+describe('splitLongitude', () => {
+  it('splits into sign, degrees and minutes', () => {
+    expect(splitLongitude(135.5)).toEqual({ degrees: 15, minutes: 30, signIndex: 4 });
+    expect(splitLongitude(-0.5)).toEqual({ degrees: 29, minutes: 30, signIndex: 11 });
+  });
+
+  it('rounds up into the next sign rather than showing 60 minutes', () => {
+    expect(splitLongitude(29.9999)).toEqual({ degrees: 0, minutes: 0, signIndex: 1 });
+    expect(splitLongitude(359.9999)).toEqual({ degrees: 0, minutes: 0, signIndex: 0 });
+  });
+});
+
+describe('spreadLongitudes', () => {
+  const gapsAtLeast = (display, minGap) => {
+    const sorted = [...display].sort((a, b) => a - b);
+    return sorted.every((value, i) => {
+      const next = i + 1 < sorted.length ? sorted[i + 1] : sorted[0] + 360;
+      return next - value >= minGap - 1e-9;
+    });
+  };
+
+  it('leaves glyphs that are already apart where they are', () => {
+    expect(spreadLongitudes([10, 50, 200], 5)).toEqual([10, 50, 200]);
+  });
+
+  it('spreads a cluster evenly around its mean, keeping the order', () => {
+    const display = spreadLongitudes([100, 101, 102], 6);
+    expect(display[0]).toBeCloseTo(95, 9);
+    expect(display[1]).toBeCloseTo(101, 9);
+    expect(display[2]).toBeCloseTo(107, 9);
+  });
+
+  it('handles a cluster straddling 0° Aries', () => {
+    const display = spreadLongitudes([359, 1, 180], 6);
+    expect(gapsAtLeast(display, 6)).toBe(true);
+    expect(display[0]).toBeCloseTo(357, 9);
+    expect(display[1]).toBeCloseTo(3, 9);
+    expect(display[2]).toBe(180);
+  });
+
+  it('merges neighbouring clusters until nothing overlaps', () => {
+    const display = spreadLongitudes([10, 11, 16, 17, 22], 5);
+    expect(gapsAtLeast(display, 5)).toBe(true);
+  });
+
+  it('gives up when the glyphs cannot fit around the wheel', () => {
+    expect(spreadLongitudes([1, 2, 3], 150)).toEqual([1, 2, 3]);
+  });
+});
+
+describe('glyphSeparation', () => {
+  it('is the angle a glyph covers on its ring', () => {
+    expect(glyphSeparation(Math.PI, 180)).toBeCloseTo(1, 9);
+  });
+});
+
+describe('planetCondition', () => {
+  const solar = {
+    cazimi_planets: [{ planet: 'Mercury' }],
+    combusted_planets: [{ planet: 'Venus' }],
+    under_beams_planets: [{ planet: 'Mars' }]
+  };
+
+  it('puts the solar condition before dignity', () => {
+    expect(planetCondition('Mercury', { dignity_score: -5 }, solar)).toBe('cazimi');
+    expect(planetCondition('Venus', { dignity_score: 5 }, solar)).toBe('combust');
+    expect(planetCondition('Mars', { dignity_score: 5 }, solar)).toBe('under_beams');
+  });
+
+  it('falls back to dignity', () => {
+    expect(planetCondition('Jupiter', { dignity_score: 4 }, solar)).toBe('dignified');
+    expect(planetCondition('Saturn', { dignity_score: -4 }, null)).toBe('debilitated');
+    expect(planetCondition('Moon', { dignity_score: 0 })).toBe('peregrine');
+  });
+});
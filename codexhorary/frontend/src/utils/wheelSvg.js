@@ -0,0 +1,220 @@
+// Standalone SVG of the chart wheel, for export. The on-screen wheel draws
+// its glyphs with HTML and Tailwind classes; here everything is plain SVG with
+// the styles inlined, so the file looks the same outside the app.
+import {
+  WHEEL_CENTER,
+  wheelOrientation,
+  wheelProjection,
+  isClockwise,
+  polar,
+  sectorPath,
+  houseSpans,
+  splitLongitude,
+  glyphSeparation,
+  spreadLongitudes,
+  SIGN_GLYPHS,
+  PLANET_GLYPHS,
+  ASPECT_COLORS,
+  planetCondition
+} from './wheel.js';
+import wheelFont from '../data/wheelFont.txt?raw';
+
+export const WHEEL_THEMES = {
+  light: {
+    background: '#ffffff',
+    face: '#eef2ff',
+    line: '#9ca3af',
+    faintLine: '#d1d5db',
+    text: '#374151',
+    mutedText: '#4b5563',
+    axis: '#374151'
+  },
+  dark: {
+    background: '#111827',
+    face: '#1f2937',
+    line: '#6b7280',
+    faintLine: '#4b5563',
+    text: '#e5e7eb',
+    mutedText: '#9ca3af',
+    axis: '#e5e7eb'
+  }
+};
+
+// Edge length in pixels offered for PNG export
+export const PNG_SIZES = [1024, 2048, 4096];
+
+// DejaVu Sans cut down to the characters the wheel draws (built by
+// scripts/build-wheel-font.js), embedded so exports render alike everywhere.
+// The system fonts only matter if a viewer ignores @font-face. U+FE0E asks
+// for the plain text form of glyphs that would otherwise become colour emoji.
+const FONT_FAMILY = 'Vox Stella Wheel';
+const FONT_STACK = `'${FONT_FAMILY}', 'Segoe UI Symbol', 'Noto Sans Symbols 2', 'DejaVu Sans', sans-serif`;
+const TEXT_FORM = '\uFE0E';
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// wheelFont.txt -> { characters, faces: [{ weight, data }] }
+export const parseWheelFont = (source) => {
+  const font = { characters: '', faces: [] };
+  source.split('\n').filter(Boolean).forEach((row) => {
+    const [key, value] = row.split('\t');
+    if (key === 'C') font.characters = value;
+    else font.faces.push({ weight: Number(key), data: value });
+  });
+  return font;
+};
+
+const FONT_FACES = parseWheelFont(wheelFont).faces.map(({ weight, data }) => (
+  `@font-face { font-family: '${FONT_FAMILY}'; font-weight: ${weight}; src: url(data:font/woff2;base64,${data}) format('woff2'); }`
+));
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Flat versions of the on-screen glyph gradients
+const CONDITION_COLORS = {
+  cazimi: '#eab308',
+  combust: '#b91c1c',
+  under_beams: '#f97316',
+  dignified: '#10b981',
+  debilitated: '#ef4444',
+  peregrine: '#6b7280'
+};
+
+const line = (from, to, attributes) =>
+  `<line x1="${round(from.x)}" y1="${round(from.y)}" x2="${round(to.x)}" y2="${round(to.y)}" ${attributes}/>`;
+
+const text = (position, content, attributes = '') =>
+  `<text x="${round(position.x)}" y="${round(position.y)}" ${attributes}>${escapeXml(content)}</text>`;
+
+// -> SVG document as a string, `size` pixels square
+export const renderWheelSvg = (chart, { theme = 'light', mode: preferredMode = 'ascendant', size = 768 } = {}) => {
+  const colors = WHEEL_THEMES[theme] || WHEEL_THEMES.light;
+  const chartData = chart.chart_data || {};
+  const planets = chartData.planets || {};
+  const aspects = chartData.aspects || [];
+  const houses = chartData.houses || [];
+  const { mode, ascendant, midheaven } = wheelOrientation(chartData, preferredMode);
+  const project = wheelProjection(mode, ascendant ?? 0);
+  const parts = [];
+
+  parts.push(`<rect width="384" height="384" fill="${colors.background}"/>`);
+  parts.push(`<circle cx="${WHEEL_CENTER}" cy="${WHEEL_CENTER}" r="182" fill="${colors.face}" stroke="${colors.line}" stroke-width="3"/>`);
+
+  for (let degree = 0; degree < 360; degree += 10) {
+    const boundary = degree % 30 === 0;
+    parts.push(line(
+      polar(project(degree), boundary ? 155 : 165),
+      polar(project(degree), boundary ? 175 : 170),
+      `stroke="${colors.line}" stroke-width="${boundary ? 2 : 1}" opacity="${boundary ? 0.8 : 0.4}"`
+    ));
+  }
+  parts.push(`<circle cx="${WHEEL_CENTER}" cy="${WHEEL_CENTER}" r="160" fill="none" stroke="${colors.line}" stroke-width="2" stroke-dasharray="5,5" opacity="0.6"/>`);
+
+  SIGN_GLYPHS.forEach((glyph, index) => {
+    parts.push(text(polar(project(index * 30 + 15), 160), glyph + TEXT_FORM, `class="sign" fill="${colors.text}"`));
+  });
+
+  if (houses.length === 12) {
+    const labelRadius = mode === 'ascendant' ? 80 : 125;
+    houseSpans(houses).forEach((span) => {
+      parts.push(`<path d="${sectorPath(span.cusp, span.nextCusp, 140, project, isClockwise(mode))}" fill="none" stroke="${colors.faintLine}" stroke-width="1" stroke-dasharray="3,3"/>`);
+      parts.push(text(polar(project(span.midLongitude), labelRadius), span.house, `class="house" fill="${colors.mutedText}"`));
+    });
+    if (mode === 'ascendant') {
+      houses.forEach((cusp) => {
+        const { degrees, minutes, signIndex } = splitLongitude(cusp);
+        const label = `${degrees}°${SIGN_GLYPHS[signIndex]}${TEXT_FORM}${String(minutes).padStart(2, '0')}'`;
+        parts.push(text(polar(project(cusp + 5), 147), label, `class="cusp" fill="${colors.mutedText}"`));
+      });
+    }
+  }
+
+  if (mode === 'ascendant') {
+    const axes = [['ASC', 'DSC', ascendant], ...(midheaven != null ? [['MC', 'IC', midheaven]] : [])];
+    axes.forEach(([from, to, longitude]) => {
+      parts.push(line(polar(project(longitude), 175), polar(project(longitude + 180), 175), `stroke="${colors.axis}" stroke-width="2.5" opacity="0.8"`));
+      parts.push(text(polar(project(longitude), 184), from, `class="angle" fill="${colors.text}"`));
+      parts.push(text(polar(project(longitude + 180), 184), to, `class="angle" fill="${colors.text}"`));
+    });
+  }
+
+  aspects.forEach((aspect) => {
+    const planet1 = planets[aspect.planet1];
+    const planet2 = planets[aspect.planet2];
+    if (!planet1 || !planet2) return;
+    const dash = aspect.applying ? '' : ' stroke-dasharray="5,5"';
+    parts.push(line(
+      polar(project(planet1.longitude || 0), 100),
+      polar(project(planet2.longitude || 0), 100),
+      `stroke="${ASPECT_COLORS[aspect.aspect] || '#6b7280'}" stroke-width="${aspect.applying ? 3 : 2}" opacity="${aspect.applying ? 0.9 : 0.6}"${dash}`
+    ));
+  });
+
+  const entries = Object.entries(planets);
+  const spread = spreadLongitudes(entries.map(([, planet]) => planet.longitude || 0), glyphSeparation(36, 120));
+  entries.forEach(([name, planet], index) => {
+    const longitude = planet.longitude || 0;
+    const marker = polar(project(longitude), 152);
+    const moved = Math.abs(((spread[index] - longitude + 540) % 360) - 180) > 0.5;
+    if (moved) {
+      parts.push(line(marker, polar(project(spread[index]), 141), `stroke="${colors.mutedText}" stroke-width="1"`));
+    }
+    parts.push(`<circle cx="${round(marker.x)}" cy="${round(marker.y)}" r="2" fill="${colors.mutedText}"/>`);
+
+    const glyph = polar(project(spread[index]), 120);
+    parts.push(`<circle cx="${round(glyph.x)}" cy="${round(glyph.y)}" r="17" fill="${CONDITION_COLORS[planetCondition(name, planet, chartData.solar_conditions_summary)]}" stroke="#ffffff" stroke-width="1.5"/>`);
+    parts.push(text(glyph, (PLANET_GLYPHS[name] || name.charAt(0)) + TEXT_FORM, 'class="planet" fill="#ffffff"'));
+    if (planet.retrograde) {
+      const badge = { x: glyph.x + 12, y: glyph.y + 12 };
+      parts.push(`<circle cx="${round(badge.x)}" cy="${round(badge.y)}" r="5.5" fill="#f97316"/>`);
+      parts.push(text(badge, 'R', 'class="retrograde" fill="#ffffff"'));
+    }
+  });
+
+  parts.push(`<circle cx="${WHEEL_CENTER}" cy="${WHEEL_CENTER}" r="6" fill="#6366f1"/>`);
+
+  const title = chart.question ? `<title>${escapeXml(chart.question)}</title>` : '';
+  const style = [
+    ...FONT_FACES,
+    `text { font-family: ${FONT_STACK}; text-anchor: middle; dominant-baseline: central; }`,
+    '.sign { font-size: 16px; font-weight: 600; }',
+    '.planet { font-size: 18px; font-weight: 700; }',
+    '.house { font-size: 11px; font-weight: 500; }',
+    '.cusp { font-size: 8px; }',
+    '.angle { font-size: 9px; font-weight: 700; }',
+    '.retrograde { font-size: 7px; font-weight: 700; }'
+  ].join('\n    ');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 384 384">
+  ${title}
+  <style>
+    ${style}
+  </style>
+  ${parts.join('\n  ')}
+</svg>
+`;
+};
+
+// Rasterise an SVG document to a PNG Blob, `size` pixels square
+export const svgToPng = (svg, size) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    canvas.getContext('2d').drawImage(image, 0, 0, size, size);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the PNG'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not render the wheel image'));
+  };
+  image.src = url;
+});
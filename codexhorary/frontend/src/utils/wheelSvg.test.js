@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import wheelFont from '../data/wheelFont.txt?raw';
+import { parseWheelFont, renderWheelSvg } from './wheelSvg.js';
+import { PLANET_GLYPHS, SIGN_GLYPHS } from './wheel.js';
+
+const HOUSES = [100, 125, 155, 190, 225, 255, 280, 305, 335, 10, 45, 75];
+
+const CHART = {
+  question: 'Will I find the <ring> & keep it?',
+  chart_data: {
+    ascendant: 100,
+    midheaven: 10,
+    houses: HOUSES,
+    planets: {
+      Sun: { longitude: 10, dignity_score: 4 },
+      Mercury: { longitude: 12, dignity_score: -2, retrograde: true },
+      Moon: { longitude: 200, dignity_score: 0 },
+      Uranus: { longitude: 300 }
+    },
+    aspects: [{ planet1: 'Sun', planet2: 'Moon', aspect: 'Opposition', applying: true }],
+    solar_conditions_summary: { cazimi_planets: [{ planet: 'Mercury' }] }
+  }
+};
+
+// Characters drawn as text, with the emoji-suppressing selector dropped
+const drawnCharacters = (svg) => new Set(
+  [...svg.matchAll(/<text [^>]*>([^<]*)<\/text>/g)]
+    .flatMap(([, content]) => [...content.replace(/&[a-z]+;/g, '').replace(/\uFE0E/g, '')])
+);
+
+describe('parseWheelFont', () => {
+  it('reads the character list and a regular and bold face', () => {
+    const font = parseWheelFont(wheelFont);
+    expect(font.faces.map(face => face.weight)).toEqual([400, 700]);
+    font.faces.forEach(face => expect(face.data).toMatch(/^[A-Za-z0-9+/]+=*$/));
+  });
+});
+
+describe('renderWheelSvg', () => {
+  const svg = renderWheelSvg(CHART);
+
+  it('embeds the subset font', () => {
+    expect(svg.match(/@font-face \{ font-family: 'Vox Stella Wheel'; font-weight: (400|700); src: url\(data:font\/woff2;base64,/g)).toHaveLength(2);
+    expect(svg).toContain("font-family: 'Vox Stella Wheel',");
+  });
+
+  it('only draws characters the subset has', () => {
+    const { characters } = parseWheelFont(wheelFont);
+    const subset = new Set([...characters, ' ']);
+    const missing = [...drawnCharacters(svg)].filter(character => !subset.has(character));
+    expect(missing).toEqual([]);
+  });
+
+  it('has every sign and planet glyph in the subset', () => {
+    const { characters } = parseWheelFont(wheelFont);
+    [...SIGN_GLYPHS, ...Object.values(PLANET_GLYPHS)].forEach(glyph => expect(characters).toContain(glyph));
+  });
+
+  it('colours glyphs and aspects like the on-screen wheel', () => {
+    expect(svg).toContain('stroke="#8b5cf6"');
+    expect(svg).toMatch(/fill="#eab308" stroke="#ffffff"/);
+    expect(svg).toMatch(/fill="#10b981" stroke="#ffffff"/);
+  });
+
+  it('escapes the question in the title', () => {
+    expect(svg).toContain('<title>Will I find the &lt;ring&gt; &amp; keep it?</title>');
+  });
+});
@@ -0,0 +1,39 @@
+// Offline world outline for the map picker on the casting form. The outline
+// (src/data/coastline.txt, built by scripts/build-coastline.js, which
+// documents the format) is drawn in the plate carrée projection: x is
+// longitude, y is latitude, one unit per degree, so the map's coordinate
+// system runs -180..180 by -90..90 and needs no tiles or projection library.
+
+let coastline = null;
+
+// -> [[[longitude, latitude], ...], ...], one array per ring
+export const decodeCoastline = text => text
+  .split('\n')
+  .filter(Boolean)
+  .map(line => line.split(' ').map((point) => {
+    const [x, y] = point.split(',');
+    return [parseInt(x, 36) / 10 - 180, parseInt(y, 36) / 10 - 90];
+  }));
+
+// SVG path data for the rings, in map units (y grows southwards, as SVG
+// does). Fill it with fill-rule="evenodd" so lakes and holes stay water.
+export const coastlinePath = rings => rings
+  .map(ring => `M${ring.map(([longitude, latitude]) => `${longitude} ${-latitude}`).join('L')}Z`)
+  .join('');
+
+// The outline's path data, loaded with the first map that needs it
+export const loadCoastlinePath = () => {
+  if (!coastline) {
+    coastline = import('../data/coastline.txt?raw')
+      .then(({ default: text }) => coastlinePath(decodeCoastline(text)));
+  }
+  return coastline;
+};
+
+// Map units for a point, and back
+export const projectPoint = ({ latitude, longitude }) => ({ x: longitude, y: -latitude });
+
+export const unprojectPoint = ({ x, y }) => ({
+  latitude: Math.max(-90, Math.min(90, -y)),
+  longitude: Math.max(-180, Math.min(180, x))
+});
@@ -0,0 +1,105 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { buildCoastline } from '../../scripts/build-coastline.js';
+import { coastlinePath, decodeCoastline, projectPoint, unprojectPoint } from './worldMap.js';
+import coastline from '../data/coastline.txt?raw';
+
+const polygon = (...rings) => ({ type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: rings } });
+
+let directory;
+const writeJson = (name, json) => {
+  const file = path.join(directory, name);
+  fs.writeFileSync(file, JSON.stringify(json));
+  return file;
+};
+const buildRings = json => decodeCoastline(buildCoastline([writeJson('land.json', json)]).text);
+
+beforeAll(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'coastline-'));
+});
+
+afterAll(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('buildCoastline', () => {
+  it('encodes each ring in tenths of a degree and drops the repeated first point', () => {
+    const rings = buildRings({
+      type: 'FeatureCollection',
+      features: [polygon(
+        [[-10, 50], [2, 50], [2, 60], [-10, 60], [-10, 50]],
+        [[-5, 52], [-4, 52], [-4, 53], [-5, 52]]
+      )]
+    });
+    expect(rings).toHaveLength(2);
+    expect(rings[0]).toEqual([[-10, 50], [2, 50], [2, 60], [-10, 60]]);
+    expect(rings[1]).toEqual([[-5, 52], [-4, 52], [-4, 53]]);
+  });
+
+  it('reads TopoJSON topologies', () => {
+    const topology = {
+      type: 'Topology',
+      objects: { land: { type: 'GeometryCollection', geometries: [{ type: 'Polygon', arcs: [[0]] }] } },
+      arcs: [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]]
+    };
+    expect(buildRings(topology)).toEqual([[[0, 0], [10, 0], [10, 10], [0, 10]]]);
+  });
+
+  it('cuts a ring crossing the antimeridian into a piece on each side', () => {
+    // An island from 179°E to 179°W, as Fiji is drawn
+    const rings = buildRings(polygon([[179, -16], [-179, -16], [-179, -18], [179, -18], [179, -16]]));
+    expect(rings).toHaveLength(2);
+    rings.forEach((ring) => {
+      const longitudes = ring.map(([longitude]) => longitude);
+      expect(Math.max(...longitudes) - Math.min(...longitudes)).toBeLessThanOrEqual(1);
+    });
+    expect(rings.flat()).toEqual(expect.arrayContaining([[180, -16], [180, -18], [-180, -16], [-180, -18]]));
+  });
+
+  it('closes a ring round the pole along the bottom of the map', () => {
+    const [ring] = buildRings(polygon([[-180, -70], [-60, -75], [60, -70], [179, -72], [-180, -70]]));
+    expect(ring).toContainEqual([180, -90]);
+    expect(ring).toContainEqual([-180, -90]);
+    ring.forEach((point, index) => {
+      const next = ring[(index + 1) % ring.length];
+      // Only the edge along the pole may run the width of the map
+      if (Math.abs(next[0] - point[0]) > 180) expect([point[1], next[1]]).toEqual([-90, -90]);
+    });
+  });
+});
+
+describe('bundled coastline', () => {
+  const rings = decodeCoastline(coastline);
+
+  it('is the full Natural Earth outline, inside the map', () => {
+    expect(rings.length).toBeGreaterThan(100);
+    rings.flat().forEach(([longitude, latitude]) => {
+      expect(Math.abs(longitude)).toBeLessThanOrEqual(180);
+      expect(Math.abs(latitude)).toBeLessThanOrEqual(90);
+    });
+  });
+
+  it('reaches every inhabited continent', () => {
+    const covers = (longitude, latitude) => rings.some(ring => ring.some(([x, y]) => (
+      Math.abs(x - longitude) < 10 && Math.abs(y - latitude) < 10
+    )));
+    [[-0.1, 51.5], [-74, 40.7], [151.2, -33.9], [-46.6, -23.5], [18.4, -33.9], [139.7, 35.7]]
+      .forEach(([longitude, latitude]) => expect(covers(longitude, latitude)).toBe(true));
+  });
+});
+
+describe('map projection', () => {
+  it('draws each ring as a closed path with latitude flipped for SVG', () => {
+    expect(coastlinePath([[[0, 10], [5, 10], [5, 0]], [[1, 1], [2, 1], [2, 2]]]))
+      .toBe('M0 -10L5 -10L5 0ZM1 -1L2 -1L2 -2Z');
+  });
+
+  it('projects and unprojects points, clamping to the map', () => {
+    const london = { latitude: 51.5, longitude: -0.1 };
+    expect(projectPoint(london)).toEqual({ x: -0.1, y: -51.5 });
+    expect(unprojectPoint(projectPoint(london))).toEqual(london);
+    expect(unprojectPoint({ x: 200, y: 100 })).toEqual({ latitude: -90, longitude: 180 });
+  });
+});
@@ -187,7 +187,7 @@ class CommunicationTester {
         return new Promise((resolve, reject) => {
             const options = {
                 hostname: 'localhost',
-                port: 5000,
+                port: Number(process.env.HORARY_API_PORT) || 5000,
                 path: endpoint,
                 method: method,
                 headers: {